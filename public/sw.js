@@ -0,0 +1,111 @@
+// public/sw.js
+// Service worker: keeps the app usable without a network.
+//
+// - App shell: index.html and the bundles it references are cached on
+//   install; navigations are network-first and fall back to the cached shell.
+// - Static assets under /assets/ (hashed, immutable): cache-first.
+// - Map tiles (cross-origin images, i.e. any basemap): cache-first, stored as
+//   they're viewed or pre-downloaded from the page, trimmed to MAX_TILES
+//   oldest-first. Only CORS responses are stored; sources without CORS
+//   headers still display but aren't kept.
+// - Everything else (the tracking API, SSE, WebSocket) is left alone; offline
+//   tracks come from the IndexedDB store in the page.
+
+const SHELL_CACHE = 'mmtt-shell-v1';
+// Keep in sync with TILE_CACHE in src/utils/tileCache.js
+const TILE_CACHE = 'mmtt-tiles-v1';
+const MAX_TILES = 20000;
+const TRIM_EVERY = 100;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// index.html plus every same-origin script/stylesheet/icon it links to
+async function shellUrls() {
+  const index = scopeUrl('index.html');
+  const res = await fetch(index, { cache: 'no-cache' });
+  const html = await res.text();
+  const linked = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map((m) => new URL(m[1], index))
+    .filter((u) => u.origin === self.location.origin)
+    .map((u) => u.href);
+  return [scopeUrl('./'), index, ...new Set(linked)];
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(await shellUrls());
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, TILE_CACHE];
+      const names = await caches.keys();
+      await Promise.all(names.filter((n) => n.startsWith('mmtt-') && !keep.includes(n)).map((n) => caches.delete(n)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function networkFirstShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(scopeUrl('index.html'), res.clone()).catch(() => {});
+    return res;
+  } catch (e) {
+    return (await cache.match(scopeUrl('index.html'))) || Response.error();
+  }
+}
+
+async function cacheFirst(request, cacheName, onStored) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  // Opaque (no-cors) tiles would count megabytes each against the quota
+  if (res.ok) {
+    // A full quota must not turn a downloaded response into a network error
+    try {
+      await cache.put(request, res.clone());
+      // Trimming runs in the background; the response doesn't wait for it
+      onStored?.(cache)?.catch(() => {});
+    } catch (e) {
+      console.warn('[SW] cache write failed', request.url, e);
+    }
+  }
+  return res;
+}
+
+let tilePuts = 0;
+
+// Drop the oldest tiles (cache keys are in insertion order) past MAX_TILES
+async function trimTiles(cache) {
+  tilePuts += 1;
+  if (tilePuts % TRIM_EVERY !== 0) return;
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((k) => cache.delete(k)));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirstShell(request));
+    return;
+  }
+  if (request.destination === 'image' && url.origin !== self.location.origin) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, trimTiles));
+    return;
+  }
+  if (url.origin === self.location.origin && url.pathname.includes('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,186 @@
+// scripts/mock-server.js
+// Local stand-in for the tracking backend. No dependencies, Node 18+.
+//
+//   npm run mock-server            # listens on http://localhost:8787
+//   VITE_API_BASE_URL=http://localhost:8787 npm run dev
+//
+// Endpoints:
+//   GET /device/:id/latest                    latest simulated fix
+//   GET /device/:id/history?since=&from=&to=  track, optionally bounded (epoch seconds)
+//   GET /device/:id/stream                    Server-Sent Events, one fix per tick
+//   WS  /device/:id/ws                        WebSocket, one fix per tick
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const TICK_MS = Number(process.env.TICK_MS) || 2000;
+const CENTER = [29.866, 77.8905];
+
+// ---------------------- Simulated devices ----------------------
+
+const devices = new Map();
+
+function getDevice(id) {
+  if (!devices.has(id)) {
+    devices.set(id, {
+      id,
+      angle: Math.random() * Math.PI * 2,
+      battery: 100,
+      history: [],
+    });
+    tick(devices.get(id));
+  }
+  return devices.get(id);
+}
+
+function tick(device) {
+  device.angle += 0.02;
+  device.battery = Math.max(0, device.battery - 0.05);
+  const fix = {
+    device_id: device.id,
+    lat: CENTER[0] + Math.sin(device.angle) * 0.01,
+    lon: CENTER[1] + Math.cos(device.angle) * 0.015,
+    speed: 4 + Math.random() * 2,
+    battery: Math.round(device.battery),
+    sos: false,
+    ts: Math.floor(Date.now() / 1000),
+  };
+  device.latest = fix;
+  device.history.push({ lat: fix.lat, lon: fix.lon, ts: fix.ts, speed: fix.speed, battery: fix.battery });
+  return fix;
+}
+
+setInterval(() => {
+  for (const device of devices.values()) {
+    const fix = tick(device);
+    for (const send of device.subscribers ?? []) send(fix);
+  }
+}, TICK_MS);
+
+function subscribe(device, send) {
+  device.subscribers = device.subscribers ?? new Set();
+  device.subscribers.add(send);
+  return () => device.subscribers.delete(send);
+}
+
+// ---------------------- HTTP ----------------------
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Expose-Headers': 'Date',
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/device\/([^/]+)\/(latest|history|stream)$/);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { ...CORS_HEADERS, 'Access-Control-Allow-Headers': '*' });
+    res.end();
+    return;
+  }
+
+  if (!match) {
+    sendJson(res, 404, { error: 'not found' });
+    return;
+  }
+
+  const device = getDevice(decodeURIComponent(match[1]));
+
+  if (match[2] === 'latest') {
+    sendJson(res, 200, device.latest);
+    return;
+  }
+
+  if (match[2] === 'history') {
+    const bound = (name) => {
+      const value = Number(url.searchParams.get(name));
+      return url.searchParams.has(name) && Number.isFinite(value) ? value : null;
+    };
+    const since = bound('since');
+    const from = bound('from');
+    const to = bound('to');
+    const points = device.history.filter((p) => (
+      (since == null || p.ts > since) &&
+      (from == null || p.ts >= from) &&
+      (to == null || p.ts <= to)
+    ));
+    sendJson(res, 200, { device_id: device.id, points });
+    return;
+  }
+
+  // SSE
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(`data: ${JSON.stringify(device.latest)}\n\n`);
+  const unsubscribe = subscribe(device, (fix) => res.write(`data: ${JSON.stringify(fix)}\n\n`));
+  req.on('close', unsubscribe);
+});
+
+// ---------------------- WebSocket (text frames only) ----------------------
+
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+server.on('upgrade', (req, socket) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/device\/([^/]+)\/ws$/);
+  const key = req.headers['sec-websocket-key'];
+  if (!match || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto
+    .createHash('sha1')
+    .update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+    .digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const device = getDevice(decodeURIComponent(match[1]));
+  const send = (fix) => socket.write(encodeTextFrame(JSON.stringify(fix)));
+  send(device.latest);
+  const unsubscribe = subscribe(device, send);
+
+  socket.on('data', (buf) => {
+    // Opcode 0x8 = close; everything else from the client is ignored
+    if ((buf[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0x00]));
+  });
+  socket.on('close', unsubscribe);
+  socket.on('error', unsubscribe);
+});
+
+server.listen(PORT, () => {
+  console.log(`[MOCK] tracking backend on http://localhost:${PORT} (tick ${TICK_MS}ms)`);
+});
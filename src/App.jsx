@@ -2,15 +2,126 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
   MapContainer,
-  TileLayer,
-  Marker,
   Popup,
   Polyline,
   ScaleControl,
   useMap,
+  useMapEvents,
 } from 'react-leaflet';
-import { Icon } from 'leaflet';
-import { fetchLatestLocation, fetchHistory } from './api/trackingapp.js';
+import { Icon, divIcon } from 'leaflet';
+import markerIconUrl from 'leaflet/dist/images/marker-icon.png';
+import markerIconRetinaUrl from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadowUrl from 'leaflet/dist/images/marker-shadow.png';
+import {
+  fetchLatestLocation,
+  fetchHistory,
+  subscribeToDevice,
+  getConnectionState,
+  subscribeConnection,
+  getClockSkew,
+  subscribeClockSkew,
+  describeApiError,
+  pollFleet,
+} from './api/trackingapp.js';
+import SmoothMarker from './components/SmoothMarker.jsx';
+import FleetLayer, { FLEET_COLORS } from './components/FleetLayer.jsx';
+import FleetLegend from './components/FleetLegend.jsx';
+import RosterPanel from './components/RosterPanel.jsx';
+import PlaybackBar from './components/PlaybackBar.jsx';
+import RangePicker from './components/RangePicker.jsx';
+import SpeedTrail from './components/SpeedTrail.jsx';
+import SpeedLegend from './components/SpeedLegend.jsx';
+import StopMarkers from './components/StopMarkers.jsx';
+import HistoryPoints from './components/HistoryPoints.jsx';
+import TrackLine from './components/TrackLine.jsx';
+import TripList from './components/TripList.jsx';
+import GeofenceLayer from './components/GeofenceLayer.jsx';
+import GeofencePanel from './components/GeofencePanel.jsx';
+import AlertToasts from './components/AlertToasts.jsx';
+import SosAlert from './components/SosAlert.jsx';
+import IncidentLog from './components/IncidentLog.jsx';
+import AlertFeed from './components/AlertFeed.jsx';
+import DiagnosticsPanel from './components/DiagnosticsPanel.jsx';
+import TrackCachePanel from './components/TrackCachePanel.jsx';
+import OfflineMapPanel from './components/OfflineMapPanel.jsx';
+import BasemapLayer from './components/BasemapLayer.jsx';
+import SettingsPanel from './components/SettingsPanel.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import ImportPanel from './components/ImportPanel.jsx';
+import ImportedTracks from './components/ImportedTracks.jsx';
+import { loadRoster, saveRoster, withSighting, withFavorite, withCachedDevices } from './utils/roster.js';
+import {
+  cleanAndSortHistory,
+  mergeHistory,
+  unionHistory,
+  detectStays,
+  DEFAULT_STAY_OPTIONS,
+  normalizeHeading,
+  trackMotion,
+  compassPoint,
+} from './utils/track.js';
+import {
+  getStoredTrack,
+  storeTrackPoints,
+  deleteStoredTrack,
+  listStoredDevices,
+  pruneTrackStore,
+  loadRetention,
+  saveRetention,
+} from './utils/trackStore.js';
+import { positionAtTime } from './utils/playback.js';
+import { simplifyTrack } from './utils/simplify.js';
+import { nowSec } from './utils/clock.js';
+import { EXPORT_FORMATS, buildExport, exportFileName, downloadFile } from './utils/exportTrack.js';
+import { parseTrackFile, TrackImportError } from './utils/importTrack.js';
+import { readLinkState, buildLinkSearch, navigationChanges, LINK_DEFAULTS } from './utils/deepLink.js';
+import { basemapList, resolveBasemap, DEFAULT_BASEMAP } from './utils/basemaps.js';
+import {
+  loadSettingsStore,
+  saveSettingsStore,
+  activeSettings,
+  withActiveSettings,
+  withProfile,
+  withoutProfile,
+  withBasemaps,
+  exportSettings,
+  importSettings,
+  SettingsImportError,
+} from './utils/settings.js';
+import { DEFAULT_SPEED_THRESHOLDS, rampColors, segmentSpeeds } from './utils/speed.js';
+import {
+  loadGeofences,
+  saveGeofences,
+  createFence,
+  fencesForDevice,
+  evaluateFences,
+} from './utils/geofence.js';
+import {
+  freshnessOf,
+  formatAge,
+  lastDeviceTimestamp,
+  TIMESTAMP_SOURCE_NOTES,
+} from './utils/freshness.js';
+import { playTone, ENTER_TONE, EXIT_TONE, SOS_TONE } from './utils/sound.js';
+import {
+  loadIncidents,
+  saveIncidents,
+  loadOperator,
+  saveOperator,
+  applySosReading,
+  acknowledgeIncident,
+  isOpenIncident,
+  needsAcknowledgement,
+} from './utils/incidents.js';
+import { requestNotificationPermission, showNotification } from './utils/notify.js';
+import {
+  loadRuleConfig,
+  saveRuleConfig,
+  resolveRules,
+  evaluateRules,
+  applyCooldowns,
+} from './utils/alertRules.js';
+import { LIVE_RANGE, RANGE_PRESETS, isPastRange, rangeKey } from './utils/timeRange.js';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet/dist/leaflet.css';
 
@@ -29,101 +140,58 @@ const formatHHMMSS = (epochSeconds) => {
   return `${hh}:${mm}:${ss}`;
 };
 
-// ---------------------- localStorage + cleaning helpers ----------
-
-const localHistoryKey = (deviceId) => `track_history_${deviceId}`;
+// Epoch seconds -> "HH:MM:SS" today, "12 Mar 14:05" on other days
+const formatLastSeen = (epochSeconds) => {
+  if (!epochSeconds && epochSeconds !== 0) return '--';
+  const d = new Date(epochSeconds * 1000);
+  if (d.toDateString() === new Date().toDateString()) return formatHHMMSS(epochSeconds);
+  const day = d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  return `${day} ${formatHHMMSS(epochSeconds).slice(0, 5)}`;
+};
 
-function saveLocalHistory(deviceId, arr) {
-  try {
-    if (!deviceId) return;
-    localStorage.setItem(localHistoryKey(deviceId), JSON.stringify(arr));
-    console.log('[LS] saved history', deviceId, arr.length);
-  } catch (e) {
-    console.warn('[LS] save error', e);
-  }
+// Line colors handed out to imported tracks in turn
+const OVERLAY_COLORS = ['#38bdf8', '#a3e635', '#f472b6', '#facc15', '#c084fc', '#2dd4bf'];
+
+// Shape an API/stream latest payload into what the UI renders
+function normalizeLatest(latest, deviceId) {
+  return {
+    device_id: latest.device_id ?? deviceId,
+    lat: Number(latest.lat),
+    lon: Number(latest.lon),
+    speed: latest.speed == null ? null : Number(latest.speed),
+    battery: latest.battery == null ? null : Number(latest.battery),
+    sos: !!latest.sos,
+    heading: normalizeHeading(latest.heading ?? latest.course),
+    timestamp: latest.timestamp ?? nowSec(),
+    // 'device' unless the API had to stand in a server or local-clock time
+    timestampSource: latest.timestamp == null ? 'local' : latest.timestamp_source ?? 'device',
+  };
 }
 
-function loadLocalHistory(deviceId) {
-  try {
-    if (!deviceId) return [];
-    const raw = localStorage.getItem(localHistoryKey(deviceId));
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed;
-  } catch (e) {
-    console.warn('[LS] load error', e);
-    return [];
-  }
-}
+// "esp01, esp02 esp03" -> ['esp01', 'esp02', 'esp03']
+const parseDeviceList = (text) => [...new Set(text.split(/[\s,;]+/).map((s) => s.trim()).filter(Boolean))];
 
-function cleanAndSortHistory(history, opts = {}) {
-  if (!Array.isArray(history)) return [];
-  const {
-    minYear = 2009,
-    jumpKmThreshold = 200,
-    maxFutureSec = 24 * 3600,
-  } = opts;
-
-  const nowSec = Math.floor(Date.now() / 1000);
-
-  const normalized = history
-    .map((p) => ({
-      lat: Number(p.lat),
-      lon: Number(p.lon),
-      ts: p.ts == null ? null : Number(p.ts),
-    }))
-    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
-
-  const withValidTs = normalized.filter((p) => {
-    if (p.ts == null) return false;
-    if (p.ts < minYear * 365 * 24 * 3600) return false;
-    if (p.ts > nowSec + maxFutureSec) return false;
-    return true;
-  });
-
-  withValidTs.sort((a, b) => a.ts - b.ts);
-
-  const cleaned = [];
-  const earthKm = (lat1, lon1, lat2, lon2) => {
-    const toRad = (v) => (v * Math.PI) / 180;
-    const R = 6371;
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) ** 2 +
-      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-  };
+// ---------------------- Live transports ----------------------
 
-  for (let i = 0; i < withValidTs.length; i += 1) {
-    const p = withValidTs[i];
-    if (cleaned.length === 0) {
-      cleaned.push(p);
-    } else {
-      const prev = cleaned[cleaned.length - 1];
-      const km = earthKm(prev.lat, prev.lon, p.lat, p.lon);
-      const dt = p.ts - prev.ts;
-      if (km > jumpKmThreshold && dt < 60) {
-        console.warn('[CLEAN] Dropping spike point', { prev, p, km, dt });
-        continue;
-      }
-      cleaned.push(p);
-    }
-  }
+const TRANSPORTS = [
+  { id: 'polling', label: 'Polling' },
+  { id: 'sse', label: 'SSE' },
+  { id: 'websocket', label: 'WebSocket' },
+];
 
-  console.log('[CLEAN] before:', history.length, 'after:', cleaned.length);
-  return cleaned;
-}
+// Header chip presentation per connection status (see subscribeConnection)
+const CONNECTION_BADGES = {
+  online: { label: 'Online', chip: 'success' },
+  degraded: { label: 'Degraded', chip: 'warning' },
+  reconnecting: { label: 'Reconnecting', chip: 'info' },
+  offline: { label: 'Offline', chip: 'danger' },
+};
 
 // ---------------------- Leaflet icon fix (larger marker) ------------------
 
-// Use scaled-up default marker icons so the pin is visible on large map
+// Scaled-up default marker icons for any marker without its own icon
+// (bundled, so they also work offline)
 delete Icon.Default.prototype._getIconUrl;
-const markerIconUrl = 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png';
-const markerIconRetinaUrl = 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png';
-const markerShadowUrl = 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png';
 Icon.Default.mergeOptions({
   iconRetinaUrl: markerIconRetinaUrl,
   iconUrl: markerIconUrl,
@@ -134,6 +202,42 @@ Icon.Default.mergeOptions({
   shadowSize: [50, 50],
 });
 
+// Live marker: an arrow turned to the heading (via --heading, set by
+// SmoothMarker) while moving, a dot when stationary or the heading is unknown,
+// red and pulsing on SOS. The freshness class dims it as the last fix ages.
+const unitIcons = new Map();
+
+function unitIcon(state, arrow, freshnessId) {
+  const key = `${state}-${arrow}-${freshnessId}`;
+  if (!unitIcons.has(key)) {
+    unitIcons.set(key, divIcon({
+      className: `unit-marker unit-${state} marker-fresh-${freshnessId}`,
+      html: arrow
+        ? '<span class="unit-marker-arrow"><svg viewBox="0 0 24 24"><path d="M12 2l7 19-7-4-7 4z" /></svg></span>'
+        : '<span class="unit-marker-dot"></span>',
+      iconSize: [36, 36],
+      iconAnchor: [18, 18],
+      popupAnchor: [0, -20],
+    }));
+  }
+  return unitIcons.get(key);
+}
+
+// Playback cursor: hollow ring so it reads differently from the live pin
+const playbackIcon = divIcon({
+  className: 'playback-marker',
+  html: '<span></span>',
+  iconSize: [20, 20],
+  iconAnchor: [10, 10],
+  popupAnchor: [0, -12],
+});
+
+// Playback advances the playhead at this rate; the marker eases across each step
+const PLAYBACK_TICK_MS = 200;
+
+// Trails with at least this many fixes are drawn on a canvas instead of SVG
+const CANVAS_TRAIL_POINTS = 2000;
+
 // ---------------------- Helper Components ----------------------
 
 // Smooth recentering
@@ -151,75 +255,180 @@ function RecenterOnTarget({ lat, lon }) {
   return null;
 }
 
-function SmoothMarker({ position, children }) {
-  const markerRef = useRef({ lat: position[0], lon: position[1] });
-  const animRef = useRef(null);
-  const leafletRef = useRef(null);
-
+// Fit the map to a track whenever `request` is bumped (e.g. a new history range)
+function FitToTrack({ positions, request }) {
+  const map = useMap();
   useEffect(() => {
-    const from = { ...markerRef.current };
-    const to = { lat: position[0], lon: position[1] };
-    if (from.lat === to.lat && from.lon === to.lon) return;
-
-    const duration = 700;
-    const start = performance.now();
-
-    cancelAnimationFrame(animRef.current);
-
-    function step(now) {
-      const t = Math.min(1, (now - start) / duration);
-      const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-      const lat = from.lat + (to.lat - from.lat) * ease;
-      const lon = from.lon + (to.lon - from.lon) * ease;
-
-      markerRef.current = { lat, lon };
+    if (!request || positions.length < 2) return;
+    map.fitBounds(positions, { padding: [40, 40], maxZoom: 17, animate: true });
+    // Fit only on request, not as positions update
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [request, map]);
+  return null;
+}
 
-      if (leafletRef.current && leafletRef.current.setLatLng) {
-        leafletRef.current.setLatLng([lat, lon]);
-      }
+// Keep the playback cursor on screen without re-centering on every tick
+function KeepInView({ lat, lon }) {
+  const map = useMap();
+  useEffect(() => {
+    if (lat == null) return;
+    const inner = map.getBounds().pad(-0.2);
+    if (!inner.contains([lat, lon])) map.panTo([lat, lon], { animate: true, duration: 0.5 });
+  }, [lat, lon, map]);
+  return null;
+}
 
-      if (t < 1) {
-        animRef.current = requestAnimationFrame(step);
-      }
+// Report the view (and its bounds) after each pan/zoom and apply a view
+// restored from a link (on mount, and again whenever `request` is bumped)
+function SyncMapView({ pendingRef, request, onViewChange }) {
+  const map = useMap();
+  const report = () => {
+    const c = map.getCenter();
+    const b = map.getBounds();
+    onViewChange(
+      { lat: c.lat, lon: c.lng, zoom: map.getZoom() },
+      { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() }
+    );
+  };
+  useEffect(() => {
+    const view = pendingRef.current;
+    if (!view) {
+      report();
+      return;
     }
-
-    animRef.current = requestAnimationFrame(step);
-
-    return () => cancelAnimationFrame(animRef.current);
-  }, [position]);
-
-  return (
-    <Marker
-      position={[markerRef.current.lat, markerRef.current.lon]}
-      ref={(m) => {
-        if (m && m.setLatLng) {
-          leafletRef.current = m;
-        } else if (m && m._leaflet_id) {
-          leafletRef.current = m;
-        }
-      }}
-    >
-      {children}
-    </Marker>
-  );
+    pendingRef.current = null;
+    map.setView([view.lat, view.lon], view.zoom, { animate: false });
+    // report() reads the latest map; only a new request should re-run this
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [request, map, pendingRef]);
+  useMapEvents({ moveend: report });
+  return null;
 }
 
+// Typing a device ID edits one history entry instead of pushing per keystroke
+const LINK_TYPING_MS = 1500;
+
 // ---------------------- Main App ----------------------
 
 function App() {
-  const [deviceId, setDeviceId] = useState('esp01');
+  // State carried by a shared link wins over the saved settings profile
+  const [linkState] = useState(() => readLinkState(window.location.search));
+  const [settingsStore, setSettingsStore] = useState(loadSettingsStore);
+  const saved = activeSettings(settingsStore);
+  // Built-in and operator-added basemaps; mapStyle is one of their ids
+  const basemaps = useMemo(() => basemapList(settingsStore.basemaps), [settingsStore.basemaps]);
+  const basemapsRef = useRef(basemaps);
+  basemapsRef.current = basemaps;
+
+  const [deviceId, setDeviceId] = useState(linkState.deviceId ?? saved.deviceId);
   const [latestLocation, setLatestLocation] = useState(null);
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [apiIssues, setApiIssues] = useState([]);
   const [autoRefresh, setAutoRefresh] = useState(true);
-  const [refreshInterval, setRefreshInterval] = useState(5000);
-  const [followTarget, setFollowTarget] = useState(true);
-  const [showPath, setShowPath] = useState(true);
-  const [mapStyle, setMapStyle] = useState('standard');
-  const [showStats, setShowStats] = useState(true);
-  const [showTooltips, setShowTooltips] = useState(true);
+  const [refreshInterval, setRefreshInterval] = useState(saved.refreshInterval);
+  const [followTarget, setFollowTarget] = useState(linkState.followTarget ?? saved.followTarget);
+  const [showPath, setShowPath] = useState(linkState.showPath ?? saved.showPath);
+  const [mapStyle, setMapStyle] = useState(linkState.mapStyle ?? saved.mapStyle);
+  const [showStats, setShowStats] = useState(saved.showStats);
+  const [showTooltips, setShowTooltips] = useState(saved.showTooltips);
   const [showHelp, setShowHelp] = useState(false);
+  const [transport, setTransport] = useState('polling');
+  const [streamStatus, setStreamStatus] = useState('closed');
+  const [connection, setConnection] = useState(getConnectionState);
+  const [clockSkew, setClockSkew] = useState(getClockSkew);
+  // Wall clock for freshness ages, ticked every few seconds
+  const [clockSec, setClockSec] = useState(nowSec);
+
+  // Fleet mode: several units polled together, each with its own color
+  const [fleetMode, setFleetMode] = useState(false);
+  const [fleetInput, setFleetInput] = useState('esp01');
+  // List actually polled; the text box only applies on Enter or blur, so
+  // half-typed IDs are never requested
+  const [fleetIds, setFleetIds] = useState(() => parseDeviceList('esp01'));
+  const [fleet, setFleet] = useState({});
+  const [focusedUnit, setFocusedUnit] = useState(null);
+  const [fitRequest, setFitRequest] = useState(0);
+  const fleetRef = useRef({});
+  const fleetPollerRef = useRef(null);
+  const pendingFitRef = useRef(false);
+
+  const [roster, setRoster] = useState(loadRoster);
+
+  // Local track store (IndexedDB): cached devices and the retention policy
+  const [trackCache, setTrackCache] = useState([]);
+  const [retention, setRetention] = useState(loadRetention);
+
+  const refreshTrackCache = useCallback(async () => {
+    const devices = await listStoredDevices();
+    if (!mountedRef.current) return;
+    setTrackCache(devices);
+    setRoster((r) => withCachedDevices(r, devices));
+  }, []);
+
+  const changeRetention = (policy) => {
+    setRetention(policy);
+    saveRetention(policy);
+    pruneTrackStore(policy).then(refreshTrackCache);
+  };
+
+  // Track playback over the loaded history
+  const [playbackOn, setPlaybackOn] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [playhead, setPlayhead] = useState(0);
+  const [playbackSpeed, setPlaybackSpeed] = useState(10);
+  const pendingLoadRef = useRef(false);
+
+  // History range: live by default, or a preset/custom window
+  const [range, setRange] = useState(linkState.range ?? LIVE_RANGE);
+  const [trackFitRequest, setTrackFitRequest] = useState(0);
+  const pastRange = isPastRange(range);
+  const currentRangeKey = rangeKey(range);
+
+  // Speed-colored trail: one color bin per threshold interval
+  const [speedColors, setSpeedColors] = useState(false);
+  const [speedRamp, setSpeedRamp] = useState('traffic');
+  const [speedThresholds, setSpeedThresholds] = useState(DEFAULT_SPEED_THRESHOLDS);
+
+  // Stop/dwell detection and the trips between stops
+  const [showStops, setShowStops] = useState(true);
+  const [showPoints, setShowPoints] = useState(false);
+  // Fix selected on the map or in the Recent trail list; `request` pans to it
+  const [highlightTs, setHighlightTs] = useState(null);
+  const [pointFocus, setPointFocus] = useState({ request: 0 });
+  const [stopRadius, setStopRadius] = useState(DEFAULT_STAY_OPTIONS.radiusM);
+  const [stopMinDwell, setStopMinDwell] = useState(DEFAULT_STAY_OPTIONS.minDurationSec / 60);
+  const [selectedTrip, setSelectedTrip] = useState(null);
+  const [tripFitRequest, setTripFitRequest] = useState(0);
+
+  // Tracks imported from files (SD-card logs etc.), kept in memory only
+  const [overlays, setOverlays] = useState([]);
+  const [overlayFit, setOverlayFit] = useState({ id: null, request: 0 });
+  const [dropActive, setDropActive] = useState(false);
+  const overlaySeqRef = useRef(0);
+
+  // Geofences: zones drawn on the map, evaluated against every new fix
+  const [fences, setFences] = useState(loadGeofences);
+  const [drawMode, setDrawMode] = useState(null);
+  const [fenceDraft, setFenceDraft] = useState([]);
+  const [fenceEvents, setFenceEvents] = useState([]);
+  const [fenceSound, setFenceSound] = useState(false);
+  const [fenceInside, setFenceInside] = useState({});
+  const [alerts, setAlerts] = useState([]);
+  // Per device: last evaluated ts and inside/outside per fence
+  const fenceStateRef = useRef({});
+
+  // SOS incidents, persisted so unacknowledged ones survive reloads
+  const [incidents, setIncidents] = useState(loadIncidents);
+  const [operator, setOperator] = useState(loadOperator);
+  const incidentsRef = useRef(incidents);
+
+  // Alert rules: checked against every load result; the feed keeps what fired
+  const [ruleConfig, setRuleConfig] = useState(loadRuleConfig);
+  const [alertFeed, setAlertFeed] = useState([]);
+  const ruleConfigRef = useRef(ruleConfig);
+  const ruleFiredRef = useRef({});
 
   const [isMobile, setIsMobile] = useState(typeof window !== 'undefined' ? window.innerWidth <= MOBILE_BREAKPOINT : false);
   const [drawerOpen, setDrawerOpen] = useState(false);
@@ -231,6 +440,18 @@ function App() {
 
   const mapRef = useRef(null);
 
+  // Deep links: the URL mirrors the view; a view or playback time read from a
+  // link waits here until the map / track it applies to is ready
+  const [mapView, setMapView] = useState(linkState.view ?? null);
+  const [mapBounds, setMapBounds] = useState(null);
+  const [viewRequest, setViewRequest] = useState(0);
+  const [playheadRequest, setPlayheadRequest] = useState(0);
+  const pendingViewRef = useRef(linkState.view ?? null);
+  const pendingPlayheadRef = useRef(linkState.playhead ?? null);
+  // Skip the automatic fit-to-track for the load that follows a restored view
+  const holdViewRef = useRef(Boolean(linkState.view));
+  const lastLinkWriteRef = useRef({ ready: false, at: 0, deviceEdit: false });
+
   useEffect(() => {
     function onResize() {
       const mobile = window.innerWidth <= MOBILE_BREAKPOINT;
@@ -241,58 +462,133 @@ function App() {
     return () => window.removeEventListener('resize', onResize);
   }, []);
 
+  // Cleaned history held for the device and range it belongs to, so polls can
+  // ask the API for points newer than the last one instead of the whole track.
+  const historyRef = useRef({ deviceId: null, rangeKey: null, points: [] });
+  const activeDeviceRef = useRef(deviceId);
+  activeDeviceRef.current = deviceId;
+  const activeRangeRef = useRef(currentRangeKey);
+  activeRangeRef.current = currentRangeKey;
+
+  const pushAlert = useCallback((alert) => {
+    setAlerts((prev) => [...prev.slice(-3), { id: `${Date.now()}-${Math.random()}`, ...alert }]);
+  }, []);
+
+  const dismissAlert = useCallback((id) => {
+    setAlerts((prev) => prev.filter((a) => a.id !== id));
+  }, []);
+
+  useEffect(() => {
+    ruleConfigRef.current = ruleConfig;
+    saveRuleConfig(ruleConfig);
+  }, [ruleConfig]);
+
+  // Run one device's load result through its rules (or just the `only` ones);
+  // repeats within a rule's cooldown are dropped before they reach the feed
+  const checkAlertRules = useCallback((id, latest, spikes, only = null) => {
+    const rules = resolveRules(ruleConfigRef.current, id);
+    const now = nowSec();
+    const fired = applyCooldowns(
+      evaluateRules(rules, { deviceId: id, latest, spikes, nowSec: now, only }),
+      rules,
+      ruleFiredRef.current,
+      now
+    );
+    if (fired.length === 0) return;
+    console.log('%c[RULES]', 'color:#f59e0b;font-weight:bold', fired);
+    const entries = fired.map((f) => ({ ...f, id: `${f.deviceId}:${f.ruleId}:${now}`, ts: now }));
+    setAlertFeed((prev) => [...entries, ...prev].slice(0, 200));
+    entries.forEach((e) => pushAlert({ tone: e.severity, title: e.title, text: e.detail }));
+  }, [pushAlert]);
+
   const loadData = useCallback(async () => {
     if (!deviceId.trim()) {
       setError('Please enter a device ID');
       return;
     }
 
-    setLatestLocation(null);
-    setHistory([]);
+    const held = historyRef.current;
+    const previous = held.deviceId === deviceId && held.rangeKey === currentRangeKey ? held.points : [];
+    const since = previous.length > 0 ? previous[previous.length - 1].ts : null;
+    const live = range.preset === 'live';
+    // A past range shows only its own track; the live fix would sit off its end
+    // and its freshness would describe the unit now, not the range
+    const past = isPastRange(range);
+
     setError(null);
     setLoading(true);
 
     try {
-      const [latest, historyData] = await Promise.all([
-        fetchLatestLocation(deviceId),
-        fetchHistory(deviceId),
+      // Settle all so one failing source doesn't hide the others' data. The
+      // local store is only read for a fresh load; polls just append.
+      const [latestResult, historyResult, storedResult] = await Promise.allSettled([
+        past ? null : fetchLatestLocation(deviceId),
+        fetchHistory(deviceId, { since, from: range.from, to: range.to }),
+        previous.length === 0 ? getStoredTrack(deviceId, { from: range.from, to: range.to }) : [],
       ]);
 
+      // Device or range was switched while this request was in flight
+      if (activeDeviceRef.current !== deviceId || activeRangeRef.current !== currentRangeKey) return;
+
+      const issues = [];
+      [['latest', latestResult], ['history', historyResult]].forEach(([endpoint, result]) => {
+        if (result.status === 'rejected') {
+          console.error(`[LOAD] ${endpoint} failed`, result.reason);
+          issues.push({ endpoint, ...describeApiError(result.reason) });
+        }
+      });
+
+      const latestOk = latestResult.status === 'fulfilled';
+      const latest = latestOk ? latestResult.value : null;
+      // The backend answered, so the unit belongs in the roster even without data
+      if (latestOk || historyResult.status === 'fulfilled') setRoster((r) => withSighting(r, deviceId));
+      const historyData = historyResult.status === 'fulfilled' ? historyResult.value : [];
+      // Newest fix this load produced, for the alert rules
+      let ruleFix = null;
+
+      // On a failed /latest keep showing the previous fix
       if (latest) {
-        const normalizedLatest = {
-          device_id: latest.device_id ?? deviceId,
-          lat: Number(latest.lat),
-          lon: Number(latest.lon),
-          speed: latest.speed == null ? null : Number(latest.speed),
-          battery: latest.battery == null ? null : Number(latest.battery),
-          sos: !!latest.sos,
-          timestamp: latest.timestamp ?? Math.floor(Date.now() / 1000),
-        };
-        setLatestLocation(normalizedLatest);
-      } else {
+        const normalized = normalizeLatest(latest, deviceId);
+        ruleFix = normalized;
+        setLatestLocation(normalized);
+        setRoster((r) => withSighting(r, deviceId, normalized));
+      } else if (latestOk) {
         setLatestLocation(null);
       }
 
-      let normalizedHistory = [];
-      if (Array.isArray(historyData) && historyData.length > 0) {
-        normalizedHistory = historyData.map((p) => ({
+      const incoming = Array.isArray(historyData)
+        ? historyData.map((p) => ({
           lat: p.lat != null ? Number(p.lat) : NaN,
           lon: p.lon != null ? Number(p.lon) : NaN,
           ts: p.ts ?? p.timestamp ?? null,
-        }));
+          speed: p.speed ?? null,
+          battery: p.battery ?? null,
+        }))
+        : [];
+
+      const spikes = [];
+      const onSpike = (spike) => spikes.push(spike);
+      let cleaned;
+      let fromServer;
+      if (previous.length > 0) {
+        cleaned = mergeHistory(previous, incoming, { onSpike });
+        fromServer = cleaned.slice(previous.length);
       } else {
-        const fromLS = loadLocalHistory(deviceId);
-        if (fromLS && fromLS.length > 0) {
-          normalizedHistory = fromLS;
-        } else {
-          normalizedHistory = [];
-        }
+        const stored = storedResult.status === 'fulfilled' ? storedResult.value : [];
+        cleaned = unionHistory(stored, incoming, { onSpike });
+        const incomingTs = new Set(incoming.map((p) => Number(p.ts)));
+        fromServer = cleaned.filter((p) => incomingTs.has(p.ts));
+        if (stored.length > 0) console.log('[LOAD] merged', stored.length, 'cached with', incoming.length, 'server points');
       }
-
-      const cleaned = cleanAndSortHistory(normalizedHistory);
-      if (cleaned.length > 0) saveLocalHistory(deviceId, cleaned);
-
-      if (!latest && cleaned.length > 0) {
+      // Any range can be cached now that points are keyed by device + ts
+      storeTrackPoints(deviceId, fromServer);
+      historyRef.current = { deviceId, rangeKey: currentRangeKey, points: cleaned };
+      const keepView = holdViewRef.current;
+      holdViewRef.current = false;
+      if (!live && previous.length === 0 && cleaned.length > 1 && !keepView) setTrackFitRequest((n) => n + 1);
+
+      // Offline on a fresh load, the newest cached point stands in as well
+      if (!past && !latest && (latestOk || previous.length === 0) && cleaned.length > 0) {
         const last = cleaned[cleaned.length - 1];
         const lastNormalized = {
           device_id: deviceId,
@@ -302,20 +598,369 @@ function App() {
           battery: null,
           sos: false,
           timestamp: last.ts,
+          timestampSource: 'device',
+          // Built from a track point: no SOS reading, so it must not clear one
+          synthetic: true,
         };
+        ruleFix = lastNormalized;
         setLatestLocation(lastNormalized);
+        setRoster((r) => withSighting(r, deviceId, lastNormalized));
+      }
+
+      // Rules watch the live unit, not a past range being browsed. With /latest
+      // down the newest track point still dates the last fix.
+      if (live) {
+        const tail = cleaned[cleaned.length - 1];
+        checkAlertRules(deviceId, ruleFix ?? (tail ? { lat: tail.lat, lon: tail.lon, timestamp: tail.ts } : null), spikes);
+      }
+
+      if (issues.length === 0 && !latest && cleaned.length === 0) {
+        issues.push({
+          endpoint: null,
+          kind: 'empty',
+          title: 'No data for this unit',
+          hint: live
+            ? `The backend has no fixes for "${deviceId}" and nothing is cached locally.`
+            : `No fixes for "${deviceId}" in the selected history range.`,
+        });
       }
 
+      setApiIssues(issues);
       setHistory(cleaned);
     } catch (err) {
       setError(`Failed to load data: ${err?.message ?? err}`);
       console.error(err);
-      setLatestLocation(null);
-      setHistory([]);
     } finally {
       if (mountedRef.current) setLoading(false);
     }
-  }, [deviceId]);
+  }, [deviceId, range, currentRangeKey, checkAlertRules]);
+
+  const fleetKey = fleetIds.join(',');
+  const fleetDirty = parseDeviceList(fleetInput).join(',') !== fleetKey;
+
+  // Apply the typed list and forget units that left it
+  const applyFleetInput = () => {
+    if (!fleetDirty) return;
+    const ids = parseDeviceList(fleetInput);
+    fleetRef.current = Object.fromEntries(Object.entries(fleetRef.current).filter(([id]) => ids.includes(id)));
+    setFleet(fleetRef.current);
+    setFleetIds(ids);
+  };
+
+  useEffect(() => {
+    if (!fleetMode || fleetIds.length === 0) return undefined;
+
+    const poller = pollFleet(fleetIds, {
+      intervalMs: autoRefresh ? refreshInterval : null,
+      getSince: (id) => {
+        const points = fleetRef.current[id]?.history;
+        return points?.length ? points[points.length - 1].ts : null;
+      },
+      onDevice: (id, { latest, points, error }) => {
+        const prev = fleetRef.current[id] ?? { latest: null, history: [] };
+        const spikes = [];
+        const history = mergeHistory(prev.history, points, { onSpike: (spike) => spikes.push(spike) });
+        const next = {
+          // Keep the previous fix when /latest itself failed
+          latest: latest ? normalizeLatest(latest, id) : error ? prev.latest : null,
+          history,
+          error: error ? describeApiError(error) : null,
+        };
+        if (!next.latest && history.length > 0) {
+          const last = history[history.length - 1];
+          next.latest = { ...normalizeLatest({ lat: last.lat, lon: last.lon, timestamp: last.ts }, id), synthetic: true };
+        }
+        fleetRef.current = { ...fleetRef.current, [id]: next };
+        setFleet(fleetRef.current);
+        if (next.latest || !error) setRoster((r) => withSighting(r, id, next.latest));
+        checkAlertRules(id, next.latest, spikes);
+      },
+      onCycle: () => {
+        if (!pendingFitRef.current) return;
+        pendingFitRef.current = false;
+        setFitRequest((n) => n + 1);
+      },
+    });
+    fleetPollerRef.current = poller;
+    return () => {
+      poller.stop();
+      fleetPollerRef.current = null;
+    };
+    // fleetIds is keyed by fleetKey
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fleetMode, fleetKey, autoRefresh, refreshInterval]);
+
+  // Fit the whole fleet once its first round of data is in
+  useEffect(() => {
+    if (fleetMode) pendingFitRef.current = true;
+    else setFocusedUnit(null);
+  }, [fleetMode, fleetKey]);
+
+  const fleetUnits = useMemo(
+    () => fleetIds.map((id, i) => ({
+      id,
+      color: FLEET_COLORS[i % FLEET_COLORS.length],
+      latest: fleet[id]?.latest ?? null,
+      history: fleet[id]?.history ?? [],
+      error: fleet[id]?.error ?? null,
+    })),
+    [fleetIds, fleet]
+  );
+
+  useEffect(() => {
+    saveRoster(roster);
+  }, [roster]);
+
+  useEffect(() => {
+    saveGeofences(fences);
+  }, [fences]);
+
+  // Evaluate fixes newer than the last evaluated one against each unit's fences.
+  // A unit seen for the first time is seeded from its latest fix only, so
+  // loading a backlog doesn't replay old crossings.
+  useEffect(() => {
+    const units = fleetMode
+      ? fleetUnits.map((u) => ({ id: u.id, points: u.history, latest: u.latest }))
+      : deviceId ? [{ id: deviceId, points: history, latest: latestLocation }] : [];
+    const raised = [];
+    const insideByUnit = {};
+
+    units.forEach(({ id, points, latest }) => {
+      const applicable = fencesForDevice(fences, id);
+      const prev = fenceStateRef.current[id] ?? { lastTs: null, inside: {} };
+      const inside = {};
+      applicable.forEach((f) => {
+        if (f.id in prev.inside) inside[f.id] = prev.inside[f.id];
+      });
+
+      let fresh = points.filter((p) => prev.lastTs == null || p.ts > prev.lastTs);
+      const tailTs = fresh.length > 0 ? fresh[fresh.length - 1].ts : prev.lastTs;
+      if (latest?.timestamp != null && (tailTs == null || latest.timestamp > tailTs)) {
+        fresh.push({ lat: latest.lat, lon: latest.lon, ts: latest.timestamp });
+      }
+      if (prev.lastTs == null) fresh = fresh.slice(-1);
+
+      const result = evaluateFences(applicable, inside, fresh, id);
+      fenceStateRef.current[id] = {
+        lastTs: fresh.length > 0 ? fresh[fresh.length - 1].ts : prev.lastTs,
+        inside: result.inside,
+      };
+      insideByUnit[id] = result.inside;
+      raised.push(...result.events);
+    });
+
+    setFenceInside(insideByUnit);
+    if (raised.length === 0) return;
+
+    console.log('%c[GEOFENCE]', 'color:#6366f1;font-weight:bold', raised);
+    setFenceEvents((prev) => [...raised.reverse(), ...prev].slice(0, 100));
+    raised.slice(0, 3).forEach((ev) => pushAlert({
+      tone: ev.type === 'enter' ? 'info' : 'warning',
+      title: `${ev.deviceId} ${ev.type === 'enter' ? 'entered' : 'left'} ${ev.fenceName}`,
+      text: formatHHMMSS(ev.ts),
+    }));
+    if (fenceSound) playTone(raised[0].type === 'enter' ? ENTER_TONE : EXIT_TONE);
+  }, [fences, fleetMode, fleetUnits, deviceId, history, latestLocation, fenceSound, pushAlert]);
+
+  useEffect(() => {
+    saveIncidents(incidents);
+  }, [incidents]);
+
+  // Fold every unit's latest fix into the incident log
+  useEffect(() => {
+    const readings = fleetMode
+      ? fleetUnits.map((u) => [u.id, u.latest])
+      : [[deviceId, latestLocation]];
+    let next = incidentsRef.current;
+    readings.forEach(([id, latest]) => {
+      const result = applySosReading(next, id, latest);
+      next = result.incidents;
+      if (result.raised) {
+        console.warn('%c[SOS]', 'color:#ef4444;font-weight:bold', 'raised', result.raised);
+        requestNotificationPermission().then(() => showNotification(`SOS · ${id}`, {
+          body: `${result.raised.lat.toFixed(5)}, ${result.raised.lon.toFixed(5)} at ${formatHHMMSS(result.raised.raisedAt)}`,
+          tag: result.raised.id,
+          requireInteraction: true,
+        }));
+      }
+      if (result.cleared) {
+        console.log('%c[SOS]', 'color:#ef4444;font-weight:bold', 'cleared', result.cleared);
+        pushAlert({ tone: 'info', title: `SOS cleared on ${id}`, text: formatHHMMSS(result.cleared.clearedAt) });
+      }
+    });
+    if (next !== incidentsRef.current) {
+      incidentsRef.current = next;
+      setIncidents(next);
+    }
+  }, [fleetMode, fleetUnits, deviceId, latestLocation, pushAlert]);
+
+  const pendingIncidents = useMemo(() => incidents.filter(needsAcknowledgement), [incidents]);
+
+  // Alarm repeats until every incident has been acknowledged
+  const alarmOn = pendingIncidents.length > 0;
+  useEffect(() => {
+    if (!alarmOn) return undefined;
+    playTone(SOS_TONE);
+    const t = setInterval(() => playTone(SOS_TONE), 3000);
+    return () => clearInterval(t);
+  }, [alarmOn]);
+
+  const acknowledge = (id, { operator: name, note }) => {
+    const next = acknowledgeIncident(incidentsRef.current, id, { operator: name, note });
+    incidentsRef.current = next;
+    setIncidents(next);
+    setOperator(name.trim());
+    saveOperator(name.trim());
+  };
+
+  const locateIncident = (incident) => {
+    if (fleetMode && fleetIds.includes(incident.deviceId)) {
+      setFocusedUnit(incident.deviceId);
+      return;
+    }
+    if (fleetMode || incident.deviceId !== deviceId) selectDevice(incident.deviceId);
+  };
+
+  const currentIncident = !fleetMode
+    ? incidents.find((i) => i.deviceId === deviceId && isOpenIncident(i)) ?? null
+    : null;
+
+  const visibleFences = useMemo(
+    () => (fleetMode ? fences : fencesForDevice(fences, deviceId)),
+    [fences, fleetMode, deviceId]
+  );
+
+  const insideFenceIds = useMemo(() => {
+    const ids = new Set();
+    Object.values(fenceInside).forEach((inside) => {
+      Object.entries(inside).forEach(([id, isIn]) => isIn && ids.add(id));
+    });
+    return ids;
+  }, [fenceInside]);
+
+  const startDrawing = (mode) => {
+    setDrawMode(mode);
+    setFenceDraft([]);
+  };
+
+  const cancelDrawing = () => {
+    setDrawMode(null);
+    setFenceDraft([]);
+  };
+
+  const completeFence = (geometry) => {
+    const type = geometry.radiusM != null ? 'circle' : 'polygon';
+    setFences((prev) => [...prev, createFence(type, geometry, prev.length)]);
+    cancelDrawing();
+  };
+
+  const updateFence = (id, patch) => {
+    setFences((prev) => prev.map((f) => (f.id === id ? { ...f, ...patch } : f)));
+  };
+
+  const deleteFence = (id) => {
+    setFences((prev) => prev.filter((f) => f.id !== id));
+  };
+
+  // Roster click: switch to that unit in single view and load it right away
+  const selectDevice = (id) => {
+    if (id === deviceId && !fleetMode) {
+      loadData();
+      return;
+    }
+    setFleetMode(false);
+    setDeviceId(id);
+    setLatestLocation(null);
+    setHistory([]);
+    setApiIssues([]);
+    setSelectedTrip(null);
+    setHighlightTs(null);
+    setOverlayFit({ id: null, request: 0 });
+    setMapView(null);
+    pendingLoadRef.current = true;
+    if (isMobile) setDrawerOpen(false);
+  };
+
+  useEffect(() => {
+    if (!pendingLoadRef.current) return;
+    pendingLoadRef.current = false;
+    loadData();
+  }, [loadData]);
+
+  const changeRange = (next) => {
+    if (rangeKey(next) === currentRangeKey) return;
+    setRange(next);
+    setHistory([]);
+    setPlaybackOn(false);
+    setPlaying(false);
+    setSelectedTrip(null);
+    pendingLoadRef.current = true;
+  };
+
+  // Operator settings: every change to a tracked preference is written to the
+  // active profile. Only fields that actually changed are saved, so a view
+  // opened from a link doesn't overwrite the profile until the operator acts.
+  const currentSettings = { deviceId, refreshInterval, mapStyle, showPath, followTarget, showStats, showTooltips };
+  const prevSettingsRef = useRef(currentSettings);
+
+  useEffect(() => {
+    const prev = prevSettingsRef.current;
+    prevSettingsRef.current = currentSettings;
+    const changed = Object.fromEntries(Object.entries(currentSettings).filter(([k, v]) => prev[k] !== v));
+    if (Object.keys(changed).length > 0) setSettingsStore((store) => withActiveSettings(store, changed));
+    // currentSettings is rebuilt each render from these values
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deviceId, refreshInterval, mapStyle, showPath, followTarget, showStats, showTooltips]);
+
+  useEffect(() => saveSettingsStore(settingsStore), [settingsStore]);
+
+  const applySettings = (next) => {
+    if (next.deviceId !== deviceId) selectDevice(next.deviceId);
+    setRefreshInterval(next.refreshInterval);
+    setMapStyle(next.mapStyle);
+    setShowPath(next.showPath);
+    setFollowTarget(next.followTarget);
+    setShowStats(next.showStats);
+    setShowTooltips(next.showTooltips);
+  };
+
+  const switchProfile = (name) => {
+    const next = { ...settingsStore, active: name };
+    setSettingsStore(next);
+    applySettings(activeSettings(next));
+  };
+
+  const deleteProfile = (name) => {
+    const next = withoutProfile(settingsStore, name);
+    if (next === settingsStore) return;
+    setSettingsStore(next);
+    applySettings(activeSettings(next));
+  };
+
+  const exportSettingsFile = () => {
+    downloadFile('mmtt-settings.json', exportSettings(settingsStore), 'application/json');
+  };
+
+  const importSettingsFile = async (file) => {
+    try {
+      const next = importSettings(settingsStore, await file.text());
+      setSettingsStore(next);
+      applySettings(activeSettings(next));
+      pushAlert({ tone: 'info', title: 'Settings imported', text: `Profile “${next.active}” is active.` });
+    } catch (err) {
+      console.warn('[SETTINGS] import failed', file.name, err);
+      pushAlert({
+        tone: 'danger',
+        title: `Couldn't import ${file.name}`,
+        text: err instanceof SettingsImportError ? err.message : 'The file could not be read.',
+      });
+    }
+  };
+
+  const refreshActive = useCallback(() => {
+    if (fleetMode) fleetPollerRef.current?.refresh();
+    else loadData();
+  }, [fleetMode, loadData]);
 
   // Keyboard shortcuts
   useEffect(() => {
@@ -326,7 +971,7 @@ function App() {
       // Ctrl/Cmd + R: Refresh
       if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
         e.preventDefault();
-        loadData();
+        refreshActive();
         return;
       }
 
@@ -344,10 +989,13 @@ function App() {
         return;
       }
 
-      // M: Toggle map style
+      // M: Next basemap
       if (e.key === 'm' || e.key === 'M') {
         e.preventDefault();
-        setMapStyle((prev) => (prev === 'standard' ? 'dark' : 'standard'));
+        setMapStyle((prev) => {
+          const ids = basemapsRef.current.map((b) => b.id);
+          return ids[(ids.indexOf(prev) + 1) % ids.length];
+        });
         return;
       }
 
@@ -375,6 +1023,8 @@ function App() {
       // Escape: Close modals/drawer
       if (e.key === 'Escape') {
         setShowHelp(false);
+        setDrawMode(null);
+        setFenceDraft([]);
         if (isMobile) setDrawerOpen(false);
         return;
       }
@@ -382,18 +1032,18 @@ function App() {
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [isMobile, loadData]);
+  }, [isMobile, refreshActive]);
 
   const clearLocalData = () => {
     setLatestLocation(null);
     setHistory([]);
     setError(null);
+    setApiIssues([]);
+    historyRef.current = { deviceId: null, rangeKey: null, points: [] };
+    fleetRef.current = {};
+    setFleet({});
 
-    try {
-      localStorage.removeItem(localHistoryKey(deviceId));
-    } catch (e) {
-      console.warn('[LS] remove error', e);
-    }
+    deleteStoredTrack(deviceId).then(refreshTrackCache);
 
     if (toastTimerRef.current) {
       clearTimeout(toastTimerRef.current);
@@ -415,14 +1065,87 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Push channel: positions arrive as they happen; polling below only runs
+  // while the stream is not open (connecting, reconnecting or disabled).
+  useEffect(() => {
+    if (fleetMode || pastRange || transport === 'polling' || !deviceId.trim()) {
+      setStreamStatus('closed');
+      return undefined;
+    }
+
+    const unsubscribe = subscribeToDevice(deviceId, {
+      transport,
+      onStatus: setStreamStatus,
+      onPosition: (latest) => {
+        if (activeDeviceRef.current !== deviceId) return;
+        const normalized = normalizeLatest(latest, deviceId);
+        setLatestLocation(normalized);
+        setRoster((r) => withSighting(r, deviceId, normalized));
+
+        // A stand-in timestamp would misplace the point and fake the track's age
+        const spikes = [];
+        const held = historyRef.current;
+        if (
+          held.deviceId === deviceId &&
+          held.rangeKey === currentRangeKey &&
+          normalized.timestampSource === 'device'
+        ) {
+          const merged = mergeHistory(held.points, [
+            {
+              lat: normalized.lat,
+              lon: normalized.lon,
+              ts: normalized.timestamp,
+              speed: normalized.speed,
+              battery: normalized.battery,
+            },
+          ], { onSpike: (spike) => spikes.push(spike) });
+          if (merged !== held.points) {
+            historyRef.current = { ...held, points: merged };
+            storeTrackPoints(deviceId, merged.slice(held.points.length));
+            setHistory(merged);
+          }
+        }
+        checkAlertRules(deviceId, normalized, spikes);
+      },
+    });
+    return unsubscribe;
+    // range is keyed by currentRangeKey
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [transport, deviceId, fleetMode, pastRange, currentRangeKey]);
+
+  const streaming = transport !== 'polling' && streamStatus === 'open';
+
+  useEffect(() => subscribeConnection(setConnection), []);
+
+  // Opening the store also migrates old localStorage tracks into it
+  useEffect(() => {
+    pruneTrackStore().then(refreshTrackCache);
+  }, [refreshTrackCache]);
+
+  // A new offset estimate shifts every age; re-read the corrected clock now
+  useEffect(() => subscribeClockSkew((skew) => {
+    setClockSkew(skew);
+    setClockSec(nowSec());
+  }), []);
+
+  // Circuit breaker went half-open (cooldown elapsed or back online):
+  // probe right away instead of waiting for the next interval tick.
+  useEffect(() => {
+    if (connection.circuit === 'half-open' && autoRefresh) refreshActive();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [connection.circuit]);
+
+  const backendPaused = connection.status === 'offline';
+
   useEffect(() => {
-    if (!autoRefresh) return;
+    // Past ranges can't gain new points; polling resumes once back on a live range
+    if (fleetMode || pastRange || !autoRefresh || streaming || backendPaused) return;
     const interval = setInterval(() => {
       loadData();
     }, refreshInterval);
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [autoRefresh, refreshInterval, deviceId]);
+  }, [autoRefresh, refreshInterval, loadData, streaming, backendPaused, fleetMode, pastRange]);
 
   useEffect(() => {
     console.debug('[DEBUG] latestLocation:', latestLocation);
@@ -454,6 +1177,29 @@ function App() {
     return null;
   }, [latestLocation, history]);
 
+  // Tick the clock so ages advance between fetches
+  useEffect(() => {
+    const t = setInterval(() => setClockSec(nowSec()), 5000);
+    return () => clearInterval(t);
+  }, []);
+
+  const freshness = useMemo(
+    () => freshnessOf(lastDeviceTimestamp(latestLocation, history), clockSec),
+    [latestLocation, history, clockSec]
+  );
+  // The stale-fix rule exists for when data stops arriving (device quiet,
+  // circuit open), so it is also checked on the clock tick, not only per load
+  useEffect(() => {
+    const units = fleetMode
+      ? fleetUnits.map((u) => [u.id, lastDeviceTimestamp(u.latest, u.history)])
+      : range.preset === 'live' && deviceId.trim() ? [[deviceId, lastDeviceTimestamp(latestLocation, history)]] : [];
+    units.forEach(([id, timestamp]) => {
+      if (timestamp != null) checkAlertRules(id, { timestamp }, [], ['staleFix']);
+    });
+  }, [clockSec, fleetMode, fleetUnits, range.preset, deviceId, latestLocation, history, checkAlertRules]);
+
+  const timestampNote = latestLocation ? TIMESTAMP_SOURCE_NOTES[latestLocation.timestampSource] ?? null : null;
+
   const lastUpdate = useMemo(() => {
     if (lastUpdateEpoch == null) return null;
     return formatHHMMSS(lastUpdateEpoch);
@@ -488,6 +1234,12 @@ function App() {
     return total;
   }, [history]);
 
+  // Heading and moving/stationary state for the live marker
+  const motion = useMemo(() => trackMotion(history, latestLocation), [history, latestLocation]);
+  const markerState = latestLocation?.sos ? 'sos' : motion.moving ? 'moving' : 'stationary';
+  // A parked unit shows a dot: its last bearing would point somewhere it isn't going
+  const markerArrow = motion.heading != null && markerState !== 'stationary';
+
   // Calculate average speed
   const averageSpeed = useMemo(() => {
     if (!latestLocation || latestLocation.speed === null) return null;
@@ -541,7 +1293,247 @@ function App() {
     return history.slice(-6).reverse();
   }, [history]);
 
-  const polylineCoordinates = history.map((point) => [point.lat, point.lon]);
+  // Select a fix and pan to it
+  const focusPoint = (ts) => {
+    setHighlightTs(ts);
+    setPointFocus((prev) => ({ request: prev.request + 1 }));
+  };
+  // Closing a fix's popup ends the selection (unless another fix took over)
+  const clearPoint = (ts) => setHighlightTs((current) => (current === ts ? null : current));
+  // Following is suspended while a fix is selected, so the next position
+  // doesn't pull the map away from it; the saved preference is untouched
+  const followSuspended = followTarget && highlightTs != null;
+
+  const polylineCoordinates = useMemo(() => history.map((point) => [point.lat, point.lon]), [history]);
+  // Drawn trail: simplified for the current zoom, recomputed only when the
+  // track or the zoom changes (not on pans)
+  const mapZoom = mapView?.zoom ?? null;
+  const trailPositions = useMemo(() => simplifyTrack(history, mapZoom), [history, mapZoom]);
+  const canvasTrail = history.length >= CANVAS_TRAIL_POINTS;
+
+  const showSpeedTrail = speedColors && !playbackOn && history.length > 1;
+  const speedSegments = useMemo(
+    () => (showSpeedTrail ? segmentSpeeds(history) : []),
+    [showSpeedTrail, history]
+  );
+  const stays = useMemo(
+    () => (fleetMode ? { stops: [], trips: [] } : detectStays(history, { radiusM: stopRadius, minDurationSec: stopMinDwell * 60 })),
+    [fleetMode, history, stopRadius, stopMinDwell]
+  );
+  const activeTrip = selectedTrip != null ? stays.trips[selectedTrip] ?? null : null;
+  const activeTripPositions = useMemo(
+    () => (activeTrip
+      ? history.slice(activeTrip.startIndex, activeTrip.endIndex + 1).map((p) => [p.lat, p.lon])
+      : []),
+    [activeTrip, history]
+  );
+
+  // Download the loaded track (current range) with its detected stops
+  const exportTrack = (format) => {
+    if (history.length === 0) return;
+    const content = buildExport(format, history, { deviceId, stops: stays.stops });
+    const name = exportFileName(deviceId, history, format);
+    downloadFile(name, content, EXPORT_FORMATS[format].mime);
+    console.log('[EXPORT]', name, history.length, 'points', stays.stops.length, 'stops');
+  };
+
+  // Parse dropped/picked files into overlays; bad files surface as alerts
+  const importFiles = async (files) => {
+    for (const file of files) {
+      try {
+        const parsed = parseTrackFile(file.name, await file.text());
+        const points = cleanAndSortHistory(parsed.points);
+        if (points.length === 0) throw new TrackImportError('No valid timed positions left after cleaning.');
+        overlaySeqRef.current += 1;
+        const overlay = {
+          id: `import-${overlaySeqRef.current}`,
+          name: parsed.name,
+          format: parsed.format,
+          points,
+          color: OVERLAY_COLORS[(overlaySeqRef.current - 1) % OVERLAY_COLORS.length],
+          visible: true,
+          dashed: false,
+        };
+        console.log('[IMPORT]', file.name, parsed.format, parsed.points.length, 'read', points.length, 'kept');
+        setOverlays((prev) => [...prev, overlay]);
+        setOverlayFit((prev) => ({ id: overlay.id, request: prev.request + 1 }));
+      } catch (err) {
+        console.warn('[IMPORT] failed', file.name, err);
+        pushAlert({
+          tone: 'danger',
+          title: `Couldn't import ${file.name}`,
+          text: err instanceof TrackImportError ? err.message : 'The file could not be read.',
+        });
+      }
+    }
+  };
+
+  const updateOverlay = (id, patch) => {
+    setOverlays((prev) => prev.map((o) => (o.id === id ? { ...o, ...patch } : o)));
+  };
+
+  const removeOverlay = (id) => {
+    setOverlays((prev) => prev.filter((o) => o.id !== id));
+  };
+
+  const fitOverlayPositions = useMemo(() => {
+    const overlay = overlays.find((o) => o.id === overlayFit.id);
+    return overlay ? overlay.points.map((p) => [p.lat, p.lon]) : [];
+  }, [overlays, overlayFit.id]);
+
+  const mapDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+
+  const mapDrop = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+    e.preventDefault();
+    setDropActive(false);
+    importFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const speedBinColors = useMemo(
+    () => rampColors(speedRamp, speedThresholds.length + 1),
+    [speedRamp, speedThresholds]
+  );
+
+  const trackStart = history.length > 0 ? history[0].ts : null;
+  const trackEnd = history.length > 0 ? history[history.length - 1].ts : null;
+  const canPlayback = !fleetMode && history.length > 1;
+
+  useEffect(() => {
+    if (!canPlayback) {
+      setPlaybackOn(false);
+      setPlaying(false);
+    }
+  }, [canPlayback]);
+
+  useEffect(() => {
+    if (!playbackOn || !playing) return undefined;
+    let last = performance.now();
+    const id = setInterval(() => {
+      const now = performance.now();
+      const elapsed = (now - last) / 1000;
+      last = now;
+      setPlayhead((p) => p + elapsed * playbackSpeed);
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(id);
+  }, [playbackOn, playing, playbackSpeed]);
+
+  useEffect(() => {
+    if (playing && trackEnd != null && playhead >= trackEnd) {
+      setPlayhead(trackEnd);
+      setPlaying(false);
+    }
+  }, [playing, playhead, trackEnd]);
+
+  const startPlayback = () => {
+    if (!canPlayback) return;
+    setPlaybackOn(true);
+    setPlayhead(trackStart);
+    setPlaying(true);
+  };
+
+  const togglePlaying = () => {
+    if (!playing && playhead >= trackEnd) setPlayhead(trackStart);
+    setPlaying((p) => !p);
+  };
+
+  // Playback time from a link: opens paused at that moment once the track is in
+  useEffect(() => {
+    const t = pendingPlayheadRef.current;
+    if (t == null || !canPlayback) return;
+    pendingPlayheadRef.current = null;
+    setPlaybackOn(true);
+    setPlaying(false);
+    setPlayhead(Math.min(Math.max(t, trackStart), trackEnd));
+  }, [canPlayback, trackStart, trackEnd, playheadRequest]);
+
+  // Mirror the shareable state into the URL. Device/range/toggle changes add
+  // a history entry; map moves and the paused playhead replace the current one.
+  useEffect(() => {
+    if (playing) return;
+    const search = buildLinkSearch({
+      deviceId,
+      range,
+      view: mapView,
+      mapStyle,
+      showPath,
+      followTarget,
+      playhead: playbackOn ? playhead : null,
+    });
+    const current = window.location.search;
+    if (search === current) return;
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const changed = navigationChanges(current, search);
+    const deviceEdit = changed.length === 1 && changed[0] === 'device';
+    const last = lastLinkWriteRef.current;
+    const typing = deviceEdit && last.deviceEdit && Date.now() - last.at < LINK_TYPING_MS;
+    // The first write only normalizes the URL the app was opened with
+    if (last.ready && changed.length > 0 && !typing) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+    lastLinkWriteRef.current = { ready: true, at: Date.now(), deviceEdit };
+    // range is keyed by currentRangeKey
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deviceId, currentRangeKey, mapView, mapStyle, showPath, followTarget, playbackOn, playing, playhead]);
+
+  // Back/forward: re-apply the state stored in that entry
+  const applyLinkRef = useRef(null);
+  applyLinkRef.current = (next) => {
+    const nextDevice = next.deviceId ?? LINK_DEFAULTS.deviceId;
+    const nextRange = next.range ?? LIVE_RANGE;
+    const sameRange = nextRange.preset === range.preset
+      && (nextRange.preset !== 'custom' || rangeKey(nextRange) === currentRangeKey);
+    if (nextDevice !== deviceId) selectDevice(nextDevice);
+    if (!sameRange) changeRange(nextRange);
+    setMapStyle(next.mapStyle ?? LINK_DEFAULTS.mapStyle);
+    setShowPath(next.showPath ?? LINK_DEFAULTS.showPath);
+    setFollowTarget(next.followTarget ?? LINK_DEFAULTS.followTarget);
+
+    setMapView(next.view ?? null);
+    if (next.view) {
+      pendingViewRef.current = next.view;
+      if (nextDevice !== deviceId || !sameRange) holdViewRef.current = true;
+      setViewRequest((n) => n + 1);
+    }
+
+    pendingPlayheadRef.current = next.playhead ?? null;
+    if (next.playhead != null) {
+      setPlayheadRequest((n) => n + 1);
+    } else {
+      setPlaybackOn(false);
+      setPlaying(false);
+    }
+  };
+
+  useEffect(() => {
+    const onPopState = () => {
+      const next = readLinkState(window.location.search);
+      lastLinkWriteRef.current = { ready: true, at: 0, deviceEdit: false };
+      applyLinkRef.current(next);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const playbackPosition = useMemo(
+    () => (playbackOn ? positionAtTime(history, playhead) : null),
+    [playbackOn, history, playhead]
+  );
+
+  // Trail drawn up to the playhead, ending at the interpolated cursor
+  const playbackTrail = useMemo(() => {
+    if (!playbackPosition) return [];
+    const passed = history.slice(0, playbackPosition.index + 1).map((p) => [p.lat, p.lon]);
+    passed.push([playbackPosition.lat, playbackPosition.lon]);
+    return passed;
+  }, [history, playbackPosition]);
 
   const fallbackCenter = [29.866, 77.8905];
   const mapCenter = latestLocation
@@ -550,18 +1542,39 @@ function App() {
       ? [history[history.length - 1].lat, history[history.length - 1].lon]
       : fallbackCenter;
 
-  const tileUrl =
-    mapStyle === 'standard'
-      ? 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
-      : 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+  const basemap = resolveBasemap(mapStyle, settingsStore.basemaps);
+
+  const transportLabel = streaming
+    ? TRANSPORTS.find((t) => t.id === transport).label
+    : autoRefresh
+      ? transport === 'polling' ? 'Polling' : 'Polling (fallback)'
+      : 'Manual';
+
+  const connectionBadge = CONNECTION_BADGES[connection.status] ?? CONNECTION_BADGES.online;
+  const connectionDetail = !connection.browserOnline
+    ? 'No network connection'
+    : connection.circuit === 'open'
+      ? `Backend unreachable, auto-refresh paused${connection.retryAt ? ` · retry ${formatHHMMSS(Math.floor(connection.retryAt / 1000))}` : ''}`
+      : connection.lastError
+        ? `Last error: ${connection.lastError}`
+        : 'Backend reachable';
 
   const mapContainerStyle = { height: '100%', width: '100%', outline: 'none' };
 
   return (
     <div className={`app-root ${isMobile ? 'mobile' : 'desktop'}`}>
 
-      {/* 1. Map Layer (Background) */}
-      <main className={`map-shell ${isMobile ? 'map-full' : ''}`} key={`${deviceId}-${mapStyle}`}>
+      {/* 1. Map Layer (Background). Remounted per device so a new unit opens
+          centered on it; basemap changes only swap the tile layer. */}
+      <main
+        className={`map-shell ${isMobile ? 'map-full' : ''}`}
+        key={deviceId}
+        onDragOver={mapDragOver}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+        }}
+        onDrop={mapDrop}
+      >
         <MapContainer
           whenCreated={(m) => {
             mapRef.current = m;
@@ -573,20 +1586,56 @@ function App() {
           style={mapContainerStyle}
           id="leaflet-main-map"
         >
-          <TileLayer attribution="&copy; OpenStreetMap contributors" url={tileUrl} />
+          <BasemapLayer basemap={basemap} />
           <ScaleControl position="bottomleft" />
+          <SyncMapView
+            pendingRef={pendingViewRef}
+            request={viewRequest}
+            onViewChange={(view, bounds) => {
+              setMapView(view);
+              setMapBounds(bounds);
+            }}
+          />
 
           {/* Custom Zoom Control position if needed, or rely on CSS overriding .leaflet-top */}
 
-          {followTarget && latestLocation && <RecenterOnTarget lat={latestLocation.lat} lon={latestLocation.lon} />}
+          {fleetMode && (
+            <FleetLayer
+              units={fleetUnits}
+              focusedId={focusedUnit}
+              fitRequest={fitRequest}
+              showPath={showPath}
+              follow={followTarget}
+              onFocus={setFocusedUnit}
+            />
+          )}
+
+          {!fleetMode && <FitToTrack positions={polylineCoordinates} request={trackFitRequest} />}
 
-          {showPath && polylineCoordinates.length > 1 && (
-            <Polyline
-              positions={polylineCoordinates}
+          <ImportedTracks overlays={overlays} formatTime={formatLastSeen} />
+          <FitToTrack positions={fitOverlayPositions} request={overlayFit.request} />
+
+          {!fleetMode && !playbackOn && !pastRange && followTarget && !followSuspended && latestLocation && <RecenterOnTarget lat={latestLocation.lat} lon={latestLocation.lon} />}
+
+          {!fleetMode && showPath && showSpeedTrail && (
+            <SpeedTrail
+              segments={speedSegments}
+              thresholds={speedThresholds}
+              colors={speedBinColors}
+              formatTime={formatHHMMSS}
+              zoom={mapZoom}
+              useCanvas={canvasTrail}
+            />
+          )}
+
+          {!fleetMode && showPath && !showSpeedTrail && trailPositions.length > 1 && (
+            <TrackLine
+              positions={trailPositions}
+              useCanvas={canvasTrail}
               pathOptions={{
                 color: '#ff8c00',
                 weight: 5,
-                opacity: 0.85,
+                opacity: playbackOn ? 0.2 : 0.85,
                 smoothFactor: 1.5,
                 lineCap: 'round',
                 lineJoin: 'round',
@@ -594,8 +1643,77 @@ function App() {
             />
           )}
 
-          {latestLocation && (
-            <SmoothMarker position={[latestLocation.lat, latestLocation.lon]}>
+          <GeofenceLayer
+            fences={visibleFences}
+            insideIds={insideFenceIds}
+            drawMode={drawMode}
+            draft={fenceDraft}
+            onDraftChange={setFenceDraft}
+            onComplete={completeFence}
+          />
+
+          {!fleetMode && activeTripPositions.length > 1 && (
+            <>
+              <FitToTrack positions={activeTripPositions} request={tripFitRequest} />
+              <Polyline
+                positions={activeTripPositions}
+                pathOptions={{ color: '#ffffff', weight: 9, opacity: 0.35, lineCap: 'round', lineJoin: 'round' }}
+              />
+            </>
+          )}
+
+          {!fleetMode && (
+            <HistoryPoints
+              points={history}
+              showAll={showPoints}
+              zoom={mapView?.zoom ?? null}
+              bounds={mapBounds}
+              highlightTs={highlightTs}
+              focus={pointFocus}
+              onSelect={setHighlightTs}
+              onClear={clearPoint}
+              formatTime={formatHHMMSS}
+              formatDuration={formatAge}
+            />
+          )}
+
+          {!fleetMode && showStops && (
+            <StopMarkers stops={stays.stops} formatTime={formatHHMMSS} formatDuration={formatDuration} />
+          )}
+
+          {playbackPosition && (
+            <>
+              <Polyline
+                positions={playbackTrail}
+                pathOptions={{ color: '#ff8c00', weight: 5, opacity: 0.95, lineCap: 'round', lineJoin: 'round' }}
+              />
+              {followTarget && <KeepInView lat={playbackPosition.lat} lon={playbackPosition.lon} />}
+              <SmoothMarker
+                position={[playbackPosition.lat, playbackPosition.lon]}
+                icon={playbackIcon}
+                duration={PLAYBACK_TICK_MS}
+                linear
+                zIndexOffset={1000}
+              >
+                <Popup className="custom-popup">
+                  <div className="popup-content">
+                    <strong>Playback · {deviceId}</strong>
+                    <div>{playbackPosition.lat.toFixed(6)}, {playbackPosition.lon.toFixed(6)}</div>
+                    <small>
+                      {new Date(playbackPosition.ts * 1000).toLocaleDateString()} {formatHHMMSS(Math.floor(playbackPosition.ts))}
+                    </small>
+                  </div>
+                </Popup>
+              </SmoothMarker>
+            </>
+          )}
+
+          {!fleetMode && latestLocation && (
+            <SmoothMarker
+              position={[latestLocation.lat, latestLocation.lon]}
+              rotation={motion.heading}
+              icon={unitIcon(markerState, markerArrow, freshness.id)}
+            >
               <Popup className="custom-popup">
                 <div className="popup-content">
                   <strong>{latestLocation.device_id}</strong>
@@ -611,6 +1729,16 @@ function App() {
                         <span style={{ opacity: 0.7, fontSize: '11px' }}>Speed:</span> {latestLocation.speed.toFixed(2)} m/s
                       </div>
                     )}
+                    <div style={{ marginBottom: '4px' }}>
+                      <span style={{ opacity: 0.7, fontSize: '11px' }}>{motion.moving ? 'Moving' : 'Stationary'}</span>
+                      {motion.heading != null && (
+                        <>
+                          {' · '}
+                          {Math.round(motion.heading)}° {compassPoint(motion.heading)}
+                          {motion.headingSource === 'track' && <span style={{ opacity: 0.7, fontSize: '11px' }}> (from track)</span>}
+                        </>
+                      )}
+                    </div>
                     {latestLocation.battery !== null && (
                       <div style={{ marginBottom: '4px' }}>
                         <span style={{ opacity: 0.7, fontSize: '11px' }}>Battery:</span> {latestLocation.battery}%
@@ -627,46 +1755,108 @@ function App() {
                         <strong style={{ color: '#ef4444', fontSize: '12px' }}>⚠ SOS ACTIVE</strong>
                       </div>
                     )}
-                    <small>{formatHHMMSS(lastUpdateEpoch ?? latestLocation.timestamp)}</small>
+                    <small>
+                      {formatHHMMSS(lastUpdateEpoch ?? latestLocation.timestamp)} · {freshness.label}
+                      {freshness.ageSec != null && ` (${formatAge(freshness.ageSec)} ago)`}
+                    </small>
+                    {timestampNote && <small className="timestamp-note">Time is {timestampNote}</small>}
                   </div>
                 </div>
               </Popup>
             </SmoothMarker>
           )}
 
-          {latestLocation && latestLocation.sos && (
-            <>
-              <div className="sos-pulse-layer" />
-              <div className="sos-floating-card" aria-hidden>
-                <div className="sos-inner">
-                  <h3>⚠ SOS ACTIVE</h3>
-                  <p>
-                    Unit <strong>{latestLocation.device_id}</strong> reported SOS.
-                    <br />
-                    {latestLocation.lat.toFixed(6)}, {latestLocation.lon.toFixed(6)}
-                  </p>
-                </div>
-              </div>
-            </>
-          )}
+          {!fleetMode && latestLocation && latestLocation.sos && <div className="sos-pulse-layer" />}
         </MapContainer>
 
+        {dropActive && (
+          <div className="map-drop-hint">
+            <div>Drop GPX, KML, GeoJSON or CSV to add it as an overlay</div>
+          </div>
+        )}
+
         {/* Map Overlays (Top-Right) */}
         <div className="map-overlay-top">
           <div className="map-pill">
-            <span className="pulse-dot" /> Live ops map
+            <span className="pulse-dot" /> Live ops map · {transportLabel}
           </div>
-          {latestLocation && (
+          {!fleetMode && range.preset !== 'live' && (
             <div className="map-pill subtle">
+              History: <strong>{RANGE_PRESETS.find((p) => p.id === range.preset)?.label}</strong>
+              {pastRange && ' · live polling paused'}
+            </div>
+          )}
+          {!fleetMode && latestLocation && (
+            <div className={`map-pill subtle fresh-${freshness.id}`} title={timestampNote ? `Time is ${timestampNote}` : undefined}>
+              <span className={`status-dot fresh-${freshness.id}`} />
               <strong style={{ color: '#ff8c00' }}>{latestLocation.device_id}</strong> · {latestLocation.lat.toFixed(4)}, {latestLocation.lon.toFixed(4)}
+              {' · '}{freshness.label}{freshness.ageSec != null && ` ${formatAge(freshness.ageSec)}`}
+              {timestampNote && ' *'}
             </div>
           )}
-          {latestLocation && latestLocation.speed !== null && (
+          {!fleetMode && latestLocation && latestLocation.speed !== null && (
             <div className="map-pill subtle">
               Speed: <strong>{latestLocation.speed.toFixed(1)} m/s</strong>
             </div>
           )}
+          {currentIncident && !needsAcknowledgement(currentIncident) && (
+            <div className="map-pill sos-acked">
+              ⚠ SOS acknowledged by <strong>{currentIncident.acknowledgedBy}</strong>
+            </div>
+          )}
         </div>
+
+        {playbackOn && canPlayback && (
+          <PlaybackBar
+            start={trackStart}
+            end={trackEnd}
+            playhead={Math.min(Math.max(playhead, trackStart), trackEnd)}
+            playing={playing}
+            speed={playbackSpeed}
+            onSeek={setPlayhead}
+            onTogglePlay={togglePlaying}
+            onSpeedChange={setPlaybackSpeed}
+            onClose={() => {
+              setPlaying(false);
+              setPlaybackOn(false);
+            }}
+            formatTime={formatHHMMSS}
+          />
+        )}
+
+        {!fleetMode && showPath && showSpeedTrail && (
+          <SpeedLegend
+            thresholds={speedThresholds}
+            colors={speedBinColors}
+            ramp={speedRamp}
+            onRampChange={setSpeedRamp}
+            onThresholdsChange={setSpeedThresholds}
+          />
+        )}
+
+        <AlertToasts toasts={alerts} onDismiss={dismissAlert} />
+
+        {alarmOn && (
+          <SosAlert
+            key={pendingIncidents[pendingIncidents.length - 1].id}
+            incident={pendingIncidents[pendingIncidents.length - 1]}
+            pendingCount={pendingIncidents.length}
+            operator={operator}
+            onAcknowledge={acknowledge}
+            onLocate={locateIncident}
+            formatTime={formatHHMMSS}
+          />
+        )}
+
+        {fleetMode && (
+          <FleetLegend
+            units={fleetUnits}
+            focusedId={focusedUnit}
+            onFocus={setFocusedUnit}
+            onFitAll={() => setFitRequest((n) => n + 1)}
+            formatTime={formatHHMMSS}
+          />
+        )}
       </main>
 
       {/* Mobile Toggle Button (Floating) */}
@@ -725,9 +1915,27 @@ function App() {
               <div className="bsf-title-section">
                 <div className="bsf-title-row">
                   {/* <span className="bsf-badge">BSF</span> */}
-                  <div className="chip success small-status">
-                    <span className="status-dot online" />
+                  <div
+                    className={`chip ${connectionBadge.chip} small-status`}
+                    title={connectionDetail}
+                    role="status"
+                  >
+                    <span className={`status-dot ${connection.status}`} />
+                    {connection.status !== 'online' && connectionBadge.label}
                   </div>
+                  {!fleetMode && (latestLocation || history.length > 0) && (
+                    <div
+                      className={`chip small-status fresh-${freshness.id}`}
+                      title={freshness.ageSec != null
+                        ? `Last device fix ${formatAge(freshness.ageSec)} ago${timestampNote ? ` · displayed time is ${timestampNote}` : ''}`
+                        : 'No device-reported timestamp yet'}
+                      role="status"
+                    >
+                      <span className={`status-dot fresh-${freshness.id}`} />
+                      {freshness.label}
+                      {freshness.ageSec != null && freshness.id !== 'live' && ` · ${formatAge(freshness.ageSec)}`}
+                    </div>
+                  )}
                   {isMobile && (
                     <button
                       className="btn-icon mobile-close-btn"
@@ -742,12 +1950,15 @@ function App() {
                 </div>
                 <h1 className="bsf-app-title">MMTT</h1>
                 <p className="bsf-app-subtitle">Live field unit situational awareness</p>
+                {connection.status !== 'online' && (
+                  <small className={`connection-note ${connection.status}`}>{connectionDetail}</small>
+                )}
               </div>
 
               <div className="bsf-actions-row">
                 <button
                   className="btn outline flex-grow-btn"
-                  onClick={loadData}
+                  onClick={refreshActive}
                   disabled={loading}
                   title="Refresh data (Ctrl/Cmd + R)"
                 >
@@ -769,27 +1980,74 @@ function App() {
             <div className="panel-section glass">
               <div className="panel-head">
                 <h2>Target Control</h2>
-                <div className="chip">Live</div>
+                <div className="chip" title={`Stream: ${streamStatus}`}>{transportLabel}</div>
               </div>
-              <label htmlFor="deviceId" className="field-label">Device ID</label>
-              <div className="control-group">
-                <input
-                  id="deviceId"
-                  type="text"
-                  value={deviceId}
-                  onChange={(e) => {
-                    setDeviceId(e.target.value);
-                    setLatestLocation(null);
-                    setHistory([]);
-                  }}
-                  placeholder="esp01"
-                  aria-label="Device ID input"
-                  autoComplete="off"
-                />
+              <div className="map-style-block control-group">
+                <span className="style-label">View</span>
+                <div className="style-toggles">
+                  <button
+                    className={!fleetMode ? 'btn small active' : 'btn small'}
+                    onClick={() => setFleetMode(false)}
+                  >
+                    Single
+                  </button>
+                  <button
+                    className={fleetMode ? 'btn small active' : 'btn small'}
+                    onClick={() => setFleetMode(true)}
+                  >
+                    Fleet
+                  </button>
+                </div>
               </div>
 
+              {fleetMode ? (
+                <>
+                  <label htmlFor="fleetIds" className="field-label">Fleet device IDs</label>
+                  <form
+                    className="control-group"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      applyFleetInput();
+                    }}
+                  >
+                    <input
+                      id="fleetIds"
+                      type="text"
+                      value={fleetInput}
+                      onChange={(e) => setFleetInput(e.target.value)}
+                      onBlur={applyFleetInput}
+                      placeholder="esp01, esp02, esp03"
+                      aria-label="Fleet device IDs, comma separated"
+                      autoComplete="off"
+                    />
+                    {fleetDirty && <small className="muted">Press Enter to apply</small>}
+                  </form>
+                </>
+              ) : (
+                <>
+                  <label htmlFor="deviceId" className="field-label">Device ID</label>
+                  <div className="control-group">
+                    <input
+                      id="deviceId"
+                      type="text"
+                      value={deviceId}
+                      onChange={(e) => {
+                        setDeviceId(e.target.value);
+                        setMapView(null);
+                        setLatestLocation(null);
+                        setHistory([]);
+                        setApiIssues([]);
+                      }}
+                      placeholder="esp01"
+                      aria-label="Device ID input"
+                      autoComplete="off"
+                    />
+                  </div>
+                </>
+              )}
+
               <div className="action-row">
-                <button className="btn primary flex-btn" onClick={loadData} disabled={loading}>
+                <button className="btn primary flex-btn" onClick={refreshActive} disabled={loading}>
                   {loading ? (
                     <>
                       <span className="loading-spinner" style={{ marginRight: '6px' }} />
@@ -846,6 +2104,7 @@ function App() {
                     />
                     <span>Follow target (F)</span>
                   </label>
+                  {followSuspended && <small className="muted">Paused while a track point is selected</small>}
                 </div>
 
                 <div className="toggle-item-row">
@@ -858,30 +2117,106 @@ function App() {
                     <span>Show trail (P)</span>
                   </label>
                 </div>
+
+                {!fleetMode && (
+                  <div className="toggle-item-row">
+                    <label className="toggle-label-group">
+                      <input
+                        type="checkbox"
+                        checked={showStops}
+                        onChange={(e) => setShowStops(e.target.checked)}
+                      />
+                      <span>Show stops</span>
+                    </label>
+                  </div>
+                )}
+
+                {!fleetMode && (
+                  <div className="toggle-item-row">
+                    <label className="toggle-label-group">
+                      <input
+                        type="checkbox"
+                        checked={showPoints}
+                        onChange={(e) => setShowPoints(e.target.checked)}
+                      />
+                      <span>Show track points</span>
+                    </label>
+                  </div>
+                )}
+
+                {!fleetMode && (
+                  <div className="toggle-item-row">
+                    <label className="toggle-label-group">
+                      <input
+                        type="checkbox"
+                        checked={speedColors}
+                        onChange={(e) => setSpeedColors(e.target.checked)}
+                        disabled={!showPath}
+                      />
+                      <span>Color trail by speed</span>
+                    </label>
+                  </div>
+                )}
+              </div>
+
+              {!fleetMode && (
+                <>
+                  <div className="section-divider" />
+                  <RangePicker range={range} onChange={changeRange} />
+                </>
+              )}
+
+              <div className="section-divider" />
+
+              <div className="map-style-block">
+                <span className="style-label">Live Feed</span>
+                <div className="style-toggles">
+                  {TRANSPORTS.map((t) => (
+                    <button
+                      key={t.id}
+                      className={transport === t.id ? 'btn small active' : 'btn small'}
+                      onClick={() => setTransport(t.id)}
+                    >
+                      {t.label}
+                    </button>
+                  ))}
+                </div>
               </div>
+              {transport !== 'polling' && streamStatus !== 'open' && (
+                <small className="muted stream-note">
+                  Stream {streamStatus === 'reconnecting' ? 'dropped, reconnecting' : streamStatus}
+                  {autoRefresh ? ' · polling meanwhile' : ''}
+                </small>
+              )}
 
               <div className="section-divider" />
 
               <div className="map-style-block">
                 <span className="style-label">Map Style</span>
-                <div className="style-toggles">
-                  <button
-                    className={mapStyle === 'standard' ? 'btn small active' : 'btn small'}
-                    onClick={() => setMapStyle('standard')}
-                  >
-                    Standard
-                  </button>
-                  <button
-                    className={mapStyle === 'dark' ? 'btn small active' : 'btn small'}
-                    onClick={() => setMapStyle('dark')}
-                  >
-                    Night Ops
-                  </button>
+                <div className="style-toggles basemap-toggles">
+                  {basemaps.map((b) => (
+                    <button
+                      key={b.id}
+                      className={basemap.id === b.id ? 'btn small active' : 'btn small'}
+                      onClick={() => setMapStyle(b.id)}
+                      title={b.custom ? `${b.type.toUpperCase()} · ${b.url}` : undefined}
+                    >
+                      {b.label}
+                    </button>
+                  ))}
                 </div>
               </div>
             </div>
 
-            {showStats && (latestLocation || history.length > 0) && (
+            <RosterPanel
+              roster={roster}
+              activeId={fleetMode ? null : deviceId}
+              onSelect={selectDevice}
+              onToggleFavorite={(id, favorite) => setRoster((r) => withFavorite(r, id, favorite))}
+              formatTime={formatLastSeen}
+            />
+
+            {!fleetMode && showStats && (latestLocation || history.length > 0) && (
               <div className="panel-section glass stats-dashboard">
                 <div className="panel-head">
                   <h2>Statistics</h2>
@@ -955,7 +2290,25 @@ function App() {
               </div>
             )}
 
-            {!showStats && (latestLocation || history.length > 0) && (
+            {!fleetMode && history.length > 1 && (
+              <TripList
+                trips={stays.trips}
+                stops={stays.stops}
+                radiusM={stopRadius}
+                minDwellMin={stopMinDwell}
+                onRadiusChange={(v) => v > 0 && setStopRadius(v)}
+                onMinDwellChange={(v) => v > 0 && setStopMinDwell(v)}
+                selectedIndex={activeTrip ? selectedTrip : null}
+                onSelectTrip={(i) => {
+                  setSelectedTrip(i);
+                  if (i != null) setTripFitRequest((n) => n + 1);
+                }}
+                formatTime={formatHHMMSS}
+                formatDuration={formatDuration}
+              />
+            )}
+
+            {!fleetMode && !showStats && (latestLocation || history.length > 0) && (
               <button
                 className="btn outline"
                 onClick={() => setShowStats(true)}
@@ -965,7 +2318,7 @@ function App() {
               </button>
             )}
 
-            {latestLocation && (
+            {!fleetMode && latestLocation && (
               <div className="panel-section glass device-info">
                 <div className="panel-head">
                   <h2>Unit Snapshot</h2>
@@ -1021,7 +2374,14 @@ function App() {
                   </div>
                   <div>
                     <span className="label">Last update</span>
-                    <span>{formatHHMMSS(lastUpdateEpoch ?? latestLocation.timestamp)}</span>
+                    <span>
+                      {formatHHMMSS(lastUpdateEpoch ?? latestLocation.timestamp)}
+                      {timestampNote && (
+                        <span className="timestamp-fallback" title={`Time is ${timestampNote}`}>
+                          {latestLocation.timestampSource === 'server' ? 'server' : 'local'}
+                        </span>
+                      )}
+                    </span>
                   </div>
                   {latestLocation.sos && (
                     <div style={{ gridColumn: '1 / -1', background: 'rgba(239, 68, 68, 0.2)', borderColor: 'rgba(239, 68, 68, 0.4)' }}>
@@ -1033,46 +2393,153 @@ function App() {
               </div>
             )}
 
-            <div className="panel-section glass mini-trail">
-              <div className="panel-head">
-                <h2>Recent trail</h2>
+            {!fleetMode && (
+              <div className="panel-section glass mini-trail">
+                <div className="panel-head">
+                  <h2>Recent trail</h2>
+                  <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                    {canPlayback && !playbackOn && (
+                      <button className="btn small" onClick={startPlayback} title="Replay the loaded track">
+                        ▶ Playback
+                      </button>
+                    )}
+                    <ExportMenu disabled={history.length === 0} onExport={exportTrack} />
+                    {recentTrail.length > 0 && (
+                      <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
+                        {recentTrail.length} points
+                      </div>
+                    )}
+                  </div>
+                </div>
+                {recentTrail.length === 0 && (
+                  <div className="empty-state-trail">
+                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" style={{ opacity: 0.3, marginBottom: '12px' }}>
+                      <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" />
+                      <circle cx="12" cy="10" r="3" />
+                    </svg>
+                    <p className="muted" style={{ marginBottom: '4px', fontWeight: 500 }}>No trail data yet</p>
+                    <small className="muted">Track points will appear here as data is received</small>
+                  </div>
+                )}
                 {recentTrail.length > 0 && (
-                  <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
-                    {recentTrail.length} points
+                  <div style={{ maxHeight: '300px', overflowY: 'auto', paddingRight: '4px' }}>
+                    {recentTrail.map((p, idx) => (
+                      <button
+                        key={`${p.lat}-${p.lon}-${idx}`}
+                        className={`trail-row${p.ts === highlightTs ? ' active' : ''}`}
+                        style={{ animationDelay: `${idx * 0.05}s` }}
+                        onClick={() => focusPoint(p.ts)}
+                        title="Show this fix on the map"
+                      >
+                        <span className="dot" />
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          <div className="coords">{p.lat.toFixed(5)}, {p.lon.toFixed(5)}</div>
+                          <small>{p.ts ? formatHHMMSS(p.ts) : '--:--:--'}</small>
+                        </div>
+                      </button>
+                    ))}
                   </div>
                 )}
               </div>
-              {recentTrail.length === 0 && (
-                <div className="empty-state-trail">
-                  <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" style={{ opacity: 0.3, marginBottom: '12px' }}>
-                    <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" />
-                    <circle cx="12" cy="10" r="3" />
-                  </svg>
-                  <p className="muted" style={{ marginBottom: '4px', fontWeight: 500 }}>No trail data yet</p>
-                  <small className="muted">Track points will appear here as data is received</small>
-                </div>
-              )}
-              {recentTrail.length > 0 && (
-                <div style={{ maxHeight: '300px', overflowY: 'auto', paddingRight: '4px' }}>
-                  {recentTrail.map((p, idx) => (
-                    <div key={`${p.lat}-${p.lon}-${idx}`} className="trail-row" style={{ animationDelay: `${idx * 0.05}s` }}>
-                      <span className="dot" />
-                      <div style={{ flex: 1, minWidth: 0 }}>
-                        <div className="coords">{p.lat.toFixed(5)}, {p.lon.toFixed(5)}</div>
-                        <small>{p.ts ? formatHHMMSS(p.ts) : '--:--:--'}</small>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
+            )}
+
+            <ImportPanel
+              overlays={overlays}
+              liveTrack={!fleetMode && history.length > 0 ? { name: deviceId, points: history } : null}
+              onFiles={importFiles}
+              onUpdate={updateOverlay}
+              onFit={(id) => setOverlayFit((prev) => ({ id, request: prev.request + 1 }))}
+              onRemove={removeOverlay}
+              formatTime={formatLastSeen}
+              formatDuration={formatDuration}
+            />
+
+            <AlertFeed
+              alerts={alertFeed}
+              onClear={() => setAlertFeed([])}
+              ruleConfig={ruleConfig}
+              onRuleConfigChange={setRuleConfig}
+              deviceId={fleetMode ? null : deviceId}
+              formatTime={formatHHMMSS}
+            />
+
+            <GeofencePanel
+              fences={visibleFences}
+              deviceId={fleetMode ? null : deviceId}
+              drawMode={drawMode}
+              draftCount={fenceDraft.length}
+              onDraw={startDrawing}
+              onFinishPolygon={() => completeFence({ points: fenceDraft })}
+              onCancelDraw={cancelDrawing}
+              onUpdate={updateFence}
+              onDelete={deleteFence}
+              events={fenceEvents}
+              onClearEvents={() => setFenceEvents([])}
+              sound={fenceSound}
+              onSoundChange={setFenceSound}
+              formatTime={formatHHMMSS}
+            />
+
+            <IncidentLog incidents={incidents} onSelect={locateIncident} formatTime={formatHHMMSS} />
+
+            <OfflineMapPanel
+              bounds={mapBounds}
+              zoom={mapView?.zoom ?? null}
+              basemap={basemap}
+            />
 
-            {error && (
+            <TrackCachePanel
+              devices={trackCache}
+              retention={retention}
+              onRetentionChange={changeRetention}
+              onSelect={selectDevice}
+              formatTime={formatLastSeen}
+            />
+
+            <SettingsPanel
+              store={settingsStore}
+              showTooltips={showTooltips}
+              onShowTooltipsChange={setShowTooltips}
+              onSwitch={switchProfile}
+              onSaveAs={(name) => setSettingsStore((store) => withProfile(store, name, currentSettings))}
+              onDelete={deleteProfile}
+              onExport={exportSettingsFile}
+              onImport={importSettingsFile}
+              onAddBasemap={(entry) => {
+                setSettingsStore((store) => withBasemaps(store, [...store.basemaps, entry]));
+                setMapStyle(entry.id);
+              }}
+              onRemoveBasemap={(id) => {
+                setSettingsStore((store) => withBasemaps(store, store.basemaps.filter((b) => b.id !== id)));
+                if (mapStyle === id) setMapStyle(DEFAULT_BASEMAP);
+              }}
+            />
+
+            <DiagnosticsPanel
+              skew={clockSkew}
+              connection={connection}
+              transport={transport}
+              streamStatus={streamStatus}
+              formatTime={formatHHMMSS}
+            />
+
+            {(error || apiIssues.length > 0) && (
               <div className="panel-section glass error-box" role="alert">
-                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                  <span style={{ fontSize: '16px' }}>⚠️</span>
-                  <span>{error}</span>
-                </div>
+                {error && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <span style={{ fontSize: '16px' }}>⚠️</span>
+                    <span>{error}</span>
+                  </div>
+                )}
+                {apiIssues.map((issue) => (
+                  <div key={`${issue.endpoint}-${issue.kind}`} className={`api-issue ${issue.kind}`}>
+                    <span className="api-issue-title">
+                      {issue.endpoint && <span className="api-issue-endpoint">/{issue.endpoint}</span>}
+                      {issue.title}
+                    </span>
+                    <small>{issue.hint}</small>
+                  </div>
+                ))}
               </div>
             )}
           </div>
@@ -1123,7 +2590,7 @@ function App() {
                     <div className="shortcut-keys">
                       <kbd className="kbd-key">M</kbd>
                     </div>
-                    <span className="shortcut-desc">Toggle map style</span>
+                    <span className="shortcut-desc">Next basemap</span>
                   </div>
                   <div className="shortcut-item">
                     <div className="shortcut-keys">
@@ -0,0 +1,97 @@
+// src/api/errors.js
+// Error taxonomy for the tracking API client.
+
+export const ApiErrorKind = {
+  OFFLINE: "offline",
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  HTTP: "http",
+  MALFORMED: "malformed",
+  INVALID_COORDINATES: "invalid-coordinates",
+};
+
+/**
+ * ApiError
+ * Every failure the client surfaces carries a `kind` (see ApiErrorKind),
+ * the `endpoint` it came from ("latest" | "history") and, for HTTP errors,
+ * the response `status`.
+ */
+export class ApiError extends Error {
+  constructor(kind, message, { endpoint = null, status = null, detail = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.detail = detail;
+  }
+
+  /** Network errors and timeouts are worth another attempt. */
+  get retryable() {
+    return this.kind === ApiErrorKind.NETWORK || this.kind === ApiErrorKind.TIMEOUT;
+  }
+}
+
+/**
+ * toApiError
+ * Classify anything thrown by fetch / res.json() into an ApiError.
+ */
+export function toApiError(err, { endpoint = null, timeoutMs = null } = {}) {
+  if (err instanceof ApiError) {
+    if (!err.endpoint) err.endpoint = endpoint;
+    return err;
+  }
+  if (err?.name === "AbortError") {
+    return new ApiError(
+      ApiErrorKind.TIMEOUT,
+      `No response within ${timeoutMs != null ? `${timeoutMs / 1000}s` : "the timeout"}`,
+      { endpoint, cause: err }
+    );
+  }
+  if (err instanceof SyntaxError) {
+    return new ApiError(ApiErrorKind.MALFORMED, "Response body is not valid JSON", {
+      endpoint,
+      cause: err,
+    });
+  }
+  return new ApiError(ApiErrorKind.NETWORK, err?.message || "Network request failed", {
+    endpoint,
+    cause: err,
+  });
+}
+
+// No 404 entry: the fetchers treat 404 as "no data for this device yet" and
+// return null / [] instead of raising
+const HTTP_HINTS = {
+  401: "The backend rejected the request as unauthenticated.",
+  403: "This client is not allowed to read this device.",
+  429: "The backend is rate-limiting requests; slow the refresh interval.",
+};
+
+/**
+ * describeApiError
+ * Operator-facing wording for an error: { kind, title, hint }.
+ */
+export function describeApiError(err) {
+  const e = err instanceof ApiError ? err : toApiError(err);
+  switch (e.kind) {
+    case ApiErrorKind.OFFLINE:
+      return { kind: e.kind, title: "Offline", hint: "This machine has no network connection." };
+    case ApiErrorKind.TIMEOUT:
+      return { kind: e.kind, title: "Timed out", hint: `${e.message}. The backend may be waking up or the link is slow.` };
+    case ApiErrorKind.NETWORK:
+      return { kind: e.kind, title: "Backend unreachable", hint: "The request never got a response (DNS, VPN, CORS or server down)." };
+    case ApiErrorKind.HTTP:
+      return {
+        kind: e.kind,
+        title: `HTTP ${e.status}`,
+        hint: HTTP_HINTS[e.status] ?? (e.status >= 500 ? "The backend failed while handling the request." : e.message),
+      };
+    case ApiErrorKind.MALFORMED:
+      return { kind: e.kind, title: "Malformed response", hint: e.message };
+    case ApiErrorKind.INVALID_COORDINATES:
+      return { kind: e.kind, title: "No valid GPS fix", hint: e.message };
+    default:
+      return { kind: "unknown", title: "Error", hint: e.message };
+  }
+}
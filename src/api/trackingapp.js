@@ -2,20 +2,301 @@
 // Improved, fully-debuggable API client
 // Shows timestamp logs in browser console for debugging.
 
+import { ApiError, ApiErrorKind, toApiError } from "./errors.js";
+import {
+  validateLatestPayload,
+  extractHistoryArray,
+  partitionHistoryPoints,
+} from "./validation.js";
+import { setClockOffset, nowSec } from "../utils/clock.js";
+
+export { ApiError, ApiErrorKind, describeApiError } from "./errors.js";
+
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "https://mmtt-web.onrender.com";
 
+// Non-negative integer from a build-time env var, else the fallback
+function envInt(name, fallback) {
+  const raw = import.meta.env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Retry policy for safeFetchJson. Network errors, timeouts, 429 and 5xx are
+ * retried with exponential backoff and full jitter; other statuses are final.
+ * Overridable per deployment with VITE_API_RETRIES, VITE_API_RETRY_BASE_MS
+ * and VITE_API_RETRY_MAX_MS.
+ */
+const retryPolicy = Object.freeze({
+  retries: envInt("VITE_API_RETRIES", 2),
+  baseDelayMs: envInt("VITE_API_RETRY_BASE_MS", 500),
+  maxDelayMs: envInt("VITE_API_RETRY_MAX_MS", 8000),
+});
+
+/**
+ * Connection monitor + circuit breaker
+ *
+ * Tracks browser online/offline events and consecutive failed requests.
+ * After `failureThreshold` failures the circuit opens: callers should stop
+ * polling until it moves to "half-open" (cooldown elapsed or the browser came
+ * back online), where the next request acts as a probe. Cooldown doubles on
+ * every failed probe up to `maxCooldownMs`.
+ *
+ * status: "online" | "degraded" | "reconnecting" | "offline"
+ */
+const breakerPolicy = {
+  failureThreshold: 4,
+  cooldownMs: 10000,
+  maxCooldownMs: 120000,
+};
+
+const connection = {
+  status: "online",
+  browserOnline: typeof navigator === "undefined" ? true : navigator.onLine !== false,
+  circuit: "closed",
+  failures: 0,
+  retryAt: null,
+  lastError: null,
+};
+
+let cooldownMs = breakerPolicy.cooldownMs;
+let halfOpenTimer = null;
+const connectionListeners = new Set();
+
+function deriveStatus() {
+  if (!connection.browserOnline || connection.circuit === "open") return "offline";
+  if (connection.circuit === "half-open") return "reconnecting";
+  if (connection.failures > 0) return "degraded";
+  return "online";
+}
+
+function updateConnection(patch) {
+  Object.assign(connection, patch);
+  connection.status = deriveStatus();
+  const snapshot = getConnectionState();
+  connectionListeners.forEach((fn) => fn(snapshot));
+}
+
+function openCircuit(err) {
+  clearTimeout(halfOpenTimer);
+  const wait = cooldownMs;
+  cooldownMs = Math.min(breakerPolicy.maxCooldownMs, cooldownMs * 2);
+  console.warn("%c[API] Circuit OPEN, pausing for ms:", "color:red", wait);
+  updateConnection({
+    circuit: "open",
+    retryAt: Date.now() + wait,
+    lastError: err?.message ?? String(err),
+  });
+  halfOpenTimer = setTimeout(() => {
+    updateConnection({ circuit: "half-open", retryAt: null });
+  }, wait);
+}
+
+function recordSuccess() {
+  if (connection.circuit === "closed" && connection.failures === 0) return;
+  clearTimeout(halfOpenTimer);
+  cooldownMs = breakerPolicy.cooldownMs;
+  updateConnection({ circuit: "closed", failures: 0, retryAt: null, lastError: null });
+}
+
+function recordFailure(err) {
+  const failures = connection.failures + 1;
+  if (connection.circuit === "half-open" || failures >= breakerPolicy.failureThreshold) {
+    connection.failures = failures;
+    openCircuit(err);
+    return;
+  }
+  updateConnection({ failures, lastError: err?.message ?? String(err) });
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => {
+    console.log("%c[API] Browser back online", "color:#22cc88");
+    clearTimeout(halfOpenTimer);
+    updateConnection({
+      browserOnline: true,
+      circuit: connection.circuit === "closed" ? "closed" : "half-open",
+      retryAt: null,
+    });
+  });
+  window.addEventListener("offline", () => {
+    console.warn("%c[API] Browser went offline", "color:red");
+    updateConnection({ browserOnline: false });
+  });
+}
+
+export function getConnectionState() {
+  return { ...connection };
+}
+
+export function subscribeConnection(listener) {
+  connectionListeners.add(listener);
+  return () => connectionListeners.delete(listener);
+}
+
+/**
+ * Polling should pause while this is true; the breaker flips to half-open
+ * on its own once the cooldown elapses.
+ */
+export function isBackendPaused() {
+  return !connection.browserOnline || connection.circuit === "open";
+}
+
+/**
+ * Clock skew estimation
+ *
+ * Every response's Date header gives one sample of the server clock. The
+ * header has 1s resolution, so the server's true time lies in [sec, sec + 1)
+ * and we take the middle; the browser side is the midpoint of the request.
+ * Samples from slow round trips are the least precise, so the estimate is the
+ * median offset of the faster half of the recent window. The result is pushed
+ * into utils/clock.js so age and future checks use server time.
+ */
+const SKEW_WINDOW = 15;
+const skewSamples = [];
+const skewListeners = new Set();
+
+const clockSkew = {
+  offsetMs: 0,
+  rttMs: null,
+  spreadMs: null,
+  samples: 0,
+  updatedAt: null,
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * serverClockMs
+ * The server's clock at response time, in ms: the `Date` header (whole
+ * seconds, so +500 ms on average), else a `server_time` body field. Browsers
+ * hide `Date` on cross-origin responses unless the backend lists it in
+ * Access-Control-Expose-Headers, so the body field is the fallback there.
+ */
+function serverClockMs(res, json) {
+  const header = res?.headers?.get?.("Date");
+  const fromHeader = header ? new Date(header).getTime() : NaN;
+  if (!Number.isNaN(fromHeader)) return fromHeader + 500;
+
+  const raw = json && typeof json === "object" && !Array.isArray(json) ? json.server_time : null;
+  if (raw == null || raw === "") return NaN;
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n > 1e12 ? n : n >= 1e9 ? n * 1000 : NaN;
+  return typeof raw === "string" ? Date.parse(raw) : NaN;
+}
+
+function recordClockSample(serverMs, sentAt, receivedAt) {
+  if (Number.isNaN(serverMs)) return;
+
+  skewSamples.push({
+    offsetMs: serverMs - (sentAt + receivedAt) / 2,
+    rttMs: receivedAt - sentAt,
+  });
+  if (skewSamples.length > SKEW_WINDOW) skewSamples.shift();
+
+  const best = [...skewSamples]
+    .sort((a, b) => a.rttMs - b.rttMs)
+    .slice(0, Math.max(1, Math.ceil(skewSamples.length / 2)));
+  const offsets = best.map((x) => x.offsetMs);
+
+  Object.assign(clockSkew, {
+    offsetMs: Math.round(median(offsets)),
+    rttMs: Math.round(median(best.map((x) => x.rttMs))),
+    spreadMs: Math.round(Math.max(...offsets) - Math.min(...offsets)),
+    samples: skewSamples.length,
+    updatedAt: receivedAt,
+  });
+  setClockOffset(clockSkew.offsetMs);
+
+  const snapshot = getClockSkew();
+  skewListeners.forEach((fn) => fn(snapshot));
+}
+
+/** Current browser→server offset estimate; offsetMs > 0 means the browser is behind. */
+export function getClockSkew() {
+  return { ...clockSkew };
+}
+
+export function subscribeClockSkew(listener) {
+  skewListeners.add(listener);
+  return () => skewListeners.delete(listener);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  const cap = Math.min(retryPolicy.maxDelayMs, retryPolicy.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
 /**
  * safeFetchJson
- * Lightweight wrapper around fetch that supports timeout.
+ * Lightweight wrapper around fetch that supports timeout and retries.
+ * Non-OK responses resolve with { ok: false } once retries are exhausted;
+ * everything else that goes wrong rejects with an ApiError (offline,
+ * network, timeout or malformed JSON).
  */
-async function safeFetchJson(url, opts = {}, timeoutMs = 15000) {
+async function safeFetchJson(url, opts = {}, timeoutMs = 15000, { endpoint = null, ...policy } = {}) {
+  const { retries } = { ...retryPolicy, ...policy };
+
+  for (let attempt = 0; ; attempt += 1) {
+    if (!connection.browserOnline) {
+      console.warn("%c[API] Skipping fetch, offline:", "color:red", url);
+      throw new ApiError(ApiErrorKind.OFFLINE, "Browser is offline", { endpoint });
+    }
+
+    try {
+      const result = await fetchOnce(url, opts, timeoutMs);
+
+      if (!result.ok && isRetryableStatus(result.status)) {
+        if (attempt < retries) {
+          const delay = backoffDelay(attempt);
+          console.warn(`%c[API] HTTP ${result.status}, retry ${attempt + 1}/${retries} in ms:`, "color:orange", delay);
+          await sleep(delay);
+          continue;
+        }
+        recordFailure(new Error(`HTTP ${result.status}`));
+        return result;
+      }
+
+      recordSuccess();
+      return result;
+    } catch (err) {
+      const apiErr = toApiError(err, { endpoint, timeoutMs });
+
+      // A malformed body still means the backend answered
+      if (!apiErr.retryable) {
+        recordSuccess();
+        throw apiErr;
+      }
+
+      if (attempt < retries && connection.browserOnline) {
+        const delay = backoffDelay(attempt);
+        console.warn(`%c[API] ${apiErr.kind}, retry ${attempt + 1}/${retries} in ms:`, "color:orange", delay);
+        await sleep(delay);
+        continue;
+      }
+      recordFailure(apiErr);
+      throw apiErr;
+    }
+  }
+}
+
+async function fetchOnce(url, opts, timeoutMs) {
   console.log("%c[API] Fetch:", "color:#00aaff", url);
 
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
+    const sentAt = Date.now();
     const res = await fetch(url, {
       ...opts,
       signal: controller.signal,
@@ -23,13 +304,18 @@ async function safeFetchJson(url, opts = {}, timeoutMs = 15000) {
     });
 
     clearTimeout(id);
+    const receivedAt = Date.now();
 
     console.log("%c[API] Status:", "color:#ffaa00", res.status);
 
-    if (!res.ok) return { status: res.status, ok: false, res };
+    if (!res.ok) {
+      recordClockSample(serverClockMs(res, null), sentAt, receivedAt);
+      return { status: res.status, ok: false, res };
+    }
 
     const json = await res.json();
     console.log("%c[API] JSON Response:", "color:#22cc88", json);
+    recordClockSample(serverClockMs(res, json), sentAt, receivedAt);
 
     return { status: res.status, ok: true, json, res };
   } catch (err) {
@@ -102,6 +388,69 @@ function extractServerDateHeader(res) {
   }
 }
 
+/**
+ * Where a normalized timestamp came from. Only "device" says when the unit
+ * actually took the fix; the others are stand-ins and make stale data look
+ * fresh, so the UI flags them.
+ */
+export const TimestampSource = Object.freeze({
+  DEVICE: "device",
+  SERVER: "server",
+  LOCAL: "local",
+});
+
+/**
+ * normalizeLatestPayload
+ * Shared by the /latest fetch and the push stream: resolves the timestamp
+ * (body → server Date header → local clock), records its source in
+ * `timestamp_source` and coerces lat/lon.
+ */
+function normalizeLatestPayload(data, res = null) {
+  const deviceCandidate = data.timestamp ?? data.ts ?? data.time ?? data.date ?? null;
+  const candidate = deviceCandidate ?? data.server_time ?? null;
+
+  console.log(
+    "%c[TIME] Timestamp candidate:",
+    "color:#ffaa00",
+    candidate
+  );
+
+  // Try parsing timestamp
+  let finalTs = parseTimestampCandidate(candidate);
+  let source =
+    deviceCandidate != null ? TimestampSource.DEVICE : TimestampSource.SERVER;
+
+  // Try server Date header as fallback
+  if (finalTs == null && res) {
+    console.warn(
+      "%c[TIME] Invalid body timestamp, using server header",
+      "color:red"
+    );
+    finalTs = extractServerDateHeader(res);
+    source = TimestampSource.SERVER;
+  }
+
+  // Final fallback: local system time
+  if (finalTs == null) {
+    console.warn(
+      "%c[TIME] WARNING: Using LOCAL SYSTEM TIME!",
+      "color:red"
+    );
+    finalTs = nowSec();
+    source = TimestampSource.LOCAL;
+  }
+
+  console.log("%c[TIME] FINAL TIMESTAMP:", "color:#00ff00", finalTs);
+
+  return {
+    ...data,
+    lat: data.lat != null ? Number(data.lat) : null,
+    lon: data.lon != null ? Number(data.lon) : null,
+    timestamp: finalTs,
+    timestamp_source: source,
+  };
+}
+
 /**
  * fetchLatestLocation()
  * Main Latest Location Fetcher
@@ -120,7 +469,9 @@ export async function fetchLatestLocation(deviceId) {
   );
 
   try {
-    const resp = await safeFetchJson(url, { method: "GET" }, 12000);
+    const resp = await safeFetchJson(url, { method: "GET" }, 12000, {
+      endpoint: "latest",
+    });
 
     if (!resp.ok) {
       console.warn(
@@ -129,57 +480,19 @@ export async function fetchLatestLocation(deviceId) {
         resp.status
       );
       if (resp.status === 404) return null;
-      throw new Error(`fetchLatestLocation HTTP ${resp.status}`);
+      throw new ApiError(ApiErrorKind.HTTP, `/latest answered HTTP ${resp.status}`, {
+        endpoint: "latest",
+        status: resp.status,
+      });
     }
 
-    const data = resp.json || null;
-    if (!data) return null;
+    const data = resp.json ?? null;
+    if (data == null) return null;
 
     console.log("%c[LATEST] Raw Data:", "color:#44ff44", data);
 
-    const candidate =
-      data.timestamp ??
-      data.ts ??
-      data.time ??
-      data.server_time ??
-      data.date ??
-      null;
-
-    console.log(
-      "%c[TIME] Timestamp candidate:",
-      "color:#ffaa00",
-      candidate
-    );
-
-    // Try parsing timestamp
-    let finalTs = parseTimestampCandidate(candidate);
-
-    // Try server Date header as fallback
-    if (finalTs == null) {
-      console.warn(
-        "%c[TIME] Invalid body timestamp, using server header",
-        "color:red"
-      );
-      finalTs = extractServerDateHeader(resp.res);
-    }
-
-    // Final fallback: local system time
-    if (finalTs == null) {
-      console.warn(
-        "%c[TIME] WARNING: Using LOCAL SYSTEM TIME!",
-        "color:red"
-      );
-      finalTs = Math.floor(Date.now() / 1000);
-    }
-
-    console.log("%c[TIME] FINAL TIMESTAMP:", "color:#00ff00", finalTs);
-
-    return {
-      ...data,
-      lat: data.lat != null ? Number(data.lat) : null,
-      lon: data.lon != null ? Number(data.lon) : null,
-      timestamp: finalTs,
-    };
+    validateLatestPayload(data);
+    return normalizeLatestPayload(data, resp.res);
   } catch (err) {
     console.error("%c[LATEST] ERROR:", "color:red", err);
     throw err;
@@ -189,21 +502,36 @@ export async function fetchLatestLocation(deviceId) {
 /**
  * fetchHistory()
  * Historical location data
+ *
+ * Pass `since` (epoch seconds of the last point already held) to only ask
+ * for newer points, and `from` / `to` (epoch seconds, inclusive) to bound
+ * the query to a time range. Backends that ignore these parameters still
+ * return the full track, so the same bounds are applied here as well.
  */
-export async function fetchHistory(deviceId) {
+export async function fetchHistory(deviceId, { since = null, from = null, to = null } = {}) {
   if (!deviceId) return [];
+
+  const params = new URLSearchParams();
+  if (since != null) params.set("since", String(since));
+  if (from != null) params.set("from", String(from));
+  if (to != null) params.set("to", String(to));
+  const query = params.toString();
+
   const url = `${API_BASE_URL}/device/${encodeURIComponent(
     deviceId
-  )}/history`;
+  )}/history${query ? `?${query}` : ""}`;
 
   console.log(
     "%c[HISTORY] Fetch history for:",
     "color:#00ffaa",
-    deviceId
+    deviceId,
+    query ? `(${query})` : "(full)"
   );
 
   try {
-    const resp = await safeFetchJson(url, { method: "GET" }, 15000);
+    const resp = await safeFetchJson(url, { method: "GET" }, 15000, {
+      endpoint: "history",
+    });
 
     if (!resp.ok) {
       console.warn(
@@ -211,24 +539,28 @@ export async function fetchHistory(deviceId) {
         "color:red",
         resp.status
       );
-      return [];
+      if (resp.status === 404) return [];
+      throw new ApiError(ApiErrorKind.HTTP, `/history answered HTTP ${resp.status}`, {
+        endpoint: "history",
+        status: resp.status,
+      });
     }
 
     const data = resp.json;
-    if (!data) return [];
+    if (data == null) return [];
 
     console.log("%c[HISTORY] Raw Data:", "color:#77ff77", data);
 
-    let arr = null;
-
-    if (Array.isArray(data)) arr = data;
-    else if (Array.isArray(data.coordinates)) arr = data.coordinates;
-    else if (Array.isArray(data.points)) arr = data.points;
-    else if (Array.isArray(data.data)) arr = data.data;
-    else if (Array.isArray(data.history)) arr = data.history;
-    else arr = [];
+    const { valid, rejected } = partitionHistoryPoints(extractHistoryArray(data));
+    if (rejected > 0) {
+      console.warn(
+        "%c[HISTORY] Dropped points with unusable coordinates:",
+        "color:red",
+        rejected
+      );
+    }
 
-    const normalized = arr
+    const normalized = valid
       .map((p, index) => {
         const tsCandidate =
           p.ts ?? p.timestamp ?? p.time ?? p.server_time ?? null;
@@ -252,6 +584,8 @@ export async function fetchHistory(deviceId) {
           lat: p.lat != null ? Number(p.lat) : NaN,
           lon: p.lon != null ? Number(p.lon) : NaN,
           ts: parsedTs,
+          speed: p.speed != null && p.speed !== "" ? Number(p.speed) : null,
+          battery: p.battery != null && p.battery !== "" ? Number(p.battery) : null,
         };
       })
       .filter(
@@ -264,9 +598,239 @@ export async function fetchHistory(deviceId) {
       normalized
     );
 
-    return normalized;
+    if (since == null && from == null && to == null) return normalized;
+
+    // Cursor/range fallback: drop what the server sent outside the bounds
+    const bounded = normalized.filter((p) => {
+      if (p.ts == null) return false;
+      if (since != null && p.ts <= since) return false;
+      if (from != null && p.ts < from) return false;
+      if (to != null && p.ts > to) return false;
+      return true;
+    });
+    if (bounded.length !== normalized.length) {
+      console.log(
+        "%c[HISTORY] Bounds ignored by server, filtered locally:",
+        "color:#ffaa00",
+        normalized.length - bounded.length
+      );
+    }
+
+    return bounded;
   } catch (err) {
+    // Surface failures: an empty array would look like "no data" to the UI
     console.error("%c[HISTORY] ERROR:", "color:red", err);
-    return [];
+    throw err;
+  }
+}
+
+/**
+ * streamUrl → push endpoint for a device
+ * SSE:       GET  /device/:id/stream
+ * WebSocket: WS   /device/:id/ws   (same host, http → ws)
+ */
+function streamUrl(deviceId, transport) {
+  const path = `/device/${encodeURIComponent(deviceId)}/${
+    transport === "websocket" ? "ws" : "stream"
+  }`;
+  if (transport === "websocket") {
+    return API_BASE_URL.replace(/^http/, "ws") + path;
+  }
+  return API_BASE_URL + path;
+}
+
+/**
+ * subscribeToDevice()
+ * Push channel for a device's position feed over SSE or WebSocket.
+ *
+ * Each message carries the same JSON as /latest. The connection is reopened
+ * with capped exponential backoff whenever it drops; `onStatus` reports
+ * "connecting" | "open" | "reconnecting" | "closed" so the caller can fall
+ * back to polling while the stream is not open.
+ *
+ * Returns an unsubscribe function.
+ */
+export function subscribeToDevice(
+  deviceId,
+  {
+    transport = "sse",
+    onPosition,
+    onStatus,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+  } = {}
+) {
+  if (!deviceId) return () => {};
+
+  let source = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  const setStatus = (status) => {
+    console.log("%c[STREAM] Status:", "color:#00aaff", transport, status);
+    onStatus?.(status);
+  };
+
+  const handleMessage = (raw) => {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      console.warn("%c[STREAM] Ignoring non-JSON message:", "color:red", raw);
+      return;
+    }
+    try {
+      validateLatestPayload(data);
+    } catch (err) {
+      console.warn("%c[STREAM] Ignoring invalid fix:", "color:red", err.message);
+      return;
+    }
+    onPosition?.(normalizeLatestPayload(data));
+  };
+
+  const handleOpen = () => {
+    attempt = 0;
+    setStatus("open");
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    teardown();
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    attempt += 1;
+    setStatus("reconnecting");
+    console.warn("%c[STREAM] Dropped, retrying in ms:", "color:red", delay);
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  function teardown() {
+    if (!source) return;
+    source.onopen = null;
+    source.onmessage = null;
+    source.onerror = null;
+    source.onclose = null;
+    try {
+      source.close();
+    } catch {
+      // already closed
+    }
+    source = null;
+  }
+
+  function connect() {
+    if (closed) return;
+    const url = streamUrl(deviceId, transport);
+    console.log("%c[STREAM] Connect:", "color:#00aaff", url);
+    if (attempt === 0) setStatus("connecting");
+
+    try {
+      if (transport === "websocket") {
+        source = new WebSocket(url);
+        source.onopen = handleOpen;
+        source.onmessage = (e) => handleMessage(e.data);
+        source.onclose = scheduleReconnect;
+      } else {
+        source = new EventSource(url);
+        source.onopen = handleOpen;
+        source.onmessage = (e) => handleMessage(e.data);
+        // EventSource retries on its own with no backoff; take over instead
+        source.onerror = scheduleReconnect;
+      }
+    } catch (err) {
+      console.error("%c[STREAM] Connect failed:", "color:red", err);
+      scheduleReconnect();
+    }
   }
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    teardown();
+    setStatus("closed");
+  };
+}
+
+/**
+ * pollFleet()
+ * Polls /latest and /history for several devices on one shared interval.
+ *
+ * `getSince(deviceId)` supplies each device's history cursor so only new
+ * points are fetched. Results arrive per device through
+ * `onDevice(deviceId, { latest, points, error })`, where `error` is an
+ * ApiError from either endpoint; `onCycle()` fires after each full round.
+ * Requests run `concurrency` devices at a time and cycles are skipped while
+ * the circuit breaker has the backend paused.
+ * With `intervalMs` null a single cycle runs.
+ *
+ * Returns { stop, refresh }.
+ */
+export function pollFleet(
+  deviceIds,
+  { intervalMs = 5000, getSince = () => null, onDevice, onCycle, concurrency = 4 } = {}
+) {
+  const ids = [...new Set(deviceIds.filter(Boolean))];
+  let stopped = false;
+  let running = false;
+  let timer = null;
+
+  const pollDevice = async (deviceId) => {
+    const [latestResult, historyResult] = await Promise.allSettled([
+      fetchLatestLocation(deviceId),
+      fetchHistory(deviceId, { since: getSince(deviceId) }),
+    ]);
+    if (stopped) return;
+    onDevice?.(deviceId, {
+      latest: latestResult.status === "fulfilled" ? latestResult.value : null,
+      points: historyResult.status === "fulfilled" ? historyResult.value : [],
+      error:
+        latestResult.status === "rejected"
+          ? latestResult.reason
+          : historyResult.status === "rejected"
+            ? historyResult.reason
+            : null,
+    });
+  };
+
+  const cycle = async () => {
+    if (stopped || running) return;
+    if (isBackendPaused()) {
+      console.warn("%c[FLEET] Backend paused, skipping cycle", "color:orange");
+      return;
+    }
+    running = true;
+    console.log("%c[FLEET] Poll cycle:", "color:#00aaff", ids);
+    try {
+      const queue = [...ids];
+      const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+        while (queue.length > 0 && !stopped) {
+          await pollDevice(queue.shift());
+        }
+      });
+      await Promise.all(workers);
+      if (!stopped) onCycle?.();
+    } finally {
+      running = false;
+    }
+  };
+
+  const schedule = () => {
+    if (stopped || intervalMs == null) return;
+    timer = setTimeout(async () => {
+      await cycle();
+      schedule();
+    }, intervalMs);
+  };
+
+  cycle().then(schedule);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    refresh: cycle,
+  };
 }
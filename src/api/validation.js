@@ -0,0 +1,91 @@
+// src/api/validation.js
+// Response schema checks for /latest and /history payloads.
+
+import { ApiError, ApiErrorKind } from "./errors.js";
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * isValidCoordinate
+ * Finite, in range, and not (0, 0): GPS modules without a fix commonly
+ * report "null island", which is never a real field position.
+ */
+export function isValidCoordinate(lat, lon) {
+  if (lat == null || lon == null || lat === "" || lon === "") return false;
+  const la = Number(lat);
+  const lo = Number(lon);
+  if (!Number.isFinite(la) || !Number.isFinite(lo)) return false;
+  if (Math.abs(la) > 90 || Math.abs(lo) > 180) return false;
+  if (la === 0 && lo === 0) return false;
+  return true;
+}
+
+/**
+ * validateLatestPayload
+ * Throws ApiError(MALFORMED | INVALID_COORDINATES) or returns the payload.
+ */
+export function validateLatestPayload(data) {
+  if (!isPlainObject(data)) {
+    throw new ApiError(
+      ApiErrorKind.MALFORMED,
+      `Expected a JSON object from /latest, got ${Array.isArray(data) ? "an array" : typeof data}`,
+      { endpoint: "latest", detail: data }
+    );
+  }
+  if (!("lat" in data) || !("lon" in data)) {
+    throw new ApiError(ApiErrorKind.MALFORMED, "Latest fix has no lat/lon fields", {
+      endpoint: "latest",
+      detail: data,
+    });
+  }
+  if (!isValidCoordinate(data.lat, data.lon)) {
+    throw new ApiError(
+      ApiErrorKind.INVALID_COORDINATES,
+      `Unit reported an unusable position (${data.lat}, ${data.lon})`,
+      { endpoint: "latest", detail: data }
+    );
+  }
+  return data;
+}
+
+const HISTORY_KEYS = ["coordinates", "points", "data", "history"];
+
+/**
+ * extractHistoryArray
+ * Accepts a bare array or an object with one of HISTORY_KEYS.
+ */
+export function extractHistoryArray(data) {
+  if (Array.isArray(data)) return data;
+  if (isPlainObject(data)) {
+    const key = HISTORY_KEYS.find((k) => Array.isArray(data[k]));
+    if (key) return data[key];
+  }
+  throw new ApiError(
+    ApiErrorKind.MALFORMED,
+    `History response has no point array (expected an array or one of: ${HISTORY_KEYS.join(", ")})`,
+    { endpoint: "history", detail: data }
+  );
+}
+
+/**
+ * partitionHistoryPoints
+ * Splits raw points into usable ones and a count of rejected ones.
+ * Throws INVALID_COORDINATES when there were points but none were usable.
+ */
+export function partitionHistoryPoints(points) {
+  const valid = [];
+  let rejected = 0;
+  points.forEach((p) => {
+    if (isPlainObject(p) && isValidCoordinate(p.lat, p.lon)) valid.push(p);
+    else rejected += 1;
+  });
+
+  if (points.length > 0 && valid.length === 0) {
+    throw new ApiError(
+      ApiErrorKind.INVALID_COORDINATES,
+      `All ${points.length} history points have unusable coordinates`,
+      { endpoint: "history" }
+    );
+  }
+  return { valid, rejected };
+}
@@ -0,0 +1,42 @@
+// src/components/AlertFeed.jsx
+import React, { useState } from 'react';
+import AlertRulesEditor from './AlertRulesEditor.jsx';
+
+// Sidebar panel: every rule alert across units, newest first, plus the rules.
+export default function AlertFeed({ alerts, onClear, ruleConfig, onRuleConfigChange, deviceId, formatTime }) {
+  const [editing, setEditing] = useState(false);
+
+  return (
+    <div className="panel-section glass alert-feed">
+      <div className="panel-head">
+        <h2>Alerts</h2>
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          {alerts.length > 0 && !editing && (
+            <button className="btn small" onClick={onClear}>Clear</button>
+          )}
+          <button className={editing ? 'btn small active' : 'btn small'} onClick={() => setEditing((v) => !v)}>
+            Rules
+          </button>
+        </div>
+      </div>
+
+      {editing ? (
+        <AlertRulesEditor config={ruleConfig} deviceId={deviceId} onChange={onRuleConfigChange} />
+      ) : alerts.length === 0 ? (
+        <p className="muted" style={{ fontSize: '12px' }}>No alerts. Rules are checked on every refresh.</p>
+      ) : (
+        <ul className="alert-feed-rows">
+          {alerts.map((a) => (
+            <li key={a.id} className={`alert-feed-row ${a.severity}`}>
+              <div className="alert-feed-text">
+                <strong>{a.title}</strong>
+                <span>{a.detail}</span>
+              </div>
+              <span className="fleet-time">{formatTime(a.ts)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// src/components/AlertRulesEditor.jsx
+import React from 'react';
+import { RULE_TYPES } from '../utils/alertRules.js';
+
+function RuleRow({ id, rule, inherited, onChange, showCooldown }) {
+  const type = RULE_TYPES[id];
+  return (
+    <div className={`rule-row${inherited ? ' inherited' : ''}`}>
+      <label className="toggle-label-group">
+        <input
+          type="checkbox"
+          checked={rule.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+        />
+        <span>{type.label}</span>
+      </label>
+      {type.threshold != null ? (
+        <span className="rule-threshold">
+          {type.comparator}
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={rule.threshold}
+            onChange={(e) => {
+              const v = Number(e.target.value);
+              if (e.target.value !== '' && Number.isFinite(v)) onChange({ threshold: v });
+            }}
+            aria-label={`${type.label} threshold (${type.unit})`}
+          />
+          {type.unit}
+        </span>
+      ) : (
+        <span className="rule-threshold muted">spike filter</span>
+      )}
+      {showCooldown && (
+        <span className="rule-threshold" title="Minimum minutes between repeats per unit">
+          every
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={rule.cooldownMin}
+            onChange={(e) => {
+              const v = Number(e.target.value);
+              if (e.target.value !== '' && Number.isFinite(v) && v >= 0) onChange({ cooldownMin: v });
+            }}
+            aria-label={`${type.label} cooldown (minutes)`}
+          />
+          min
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Default rules plus optional overrides for the selected device.
+export default function AlertRulesEditor({ config, deviceId, onChange }) {
+  const overrides = deviceId ? config.overrides[deviceId] : null;
+
+  const setDefault = (id, patch) => onChange({
+    ...config,
+    defaults: { ...config.defaults, [id]: { ...config.defaults[id], ...patch } },
+  });
+
+  const setOverride = (id, patch) => onChange({
+    ...config,
+    overrides: {
+      ...config.overrides,
+      [deviceId]: { ...overrides, [id]: { ...overrides?.[id], ...patch } },
+    },
+  });
+
+  const toggleOverrides = (on) => {
+    const next = { ...config.overrides };
+    if (on) next[deviceId] = {};
+    else delete next[deviceId];
+    onChange({ ...config, overrides: next });
+  };
+
+  return (
+    <div className="rules-editor">
+      <span className="style-label">All units</span>
+      {Object.keys(RULE_TYPES).map((id) => (
+        <RuleRow key={id} id={id} rule={config.defaults[id]} onChange={(patch) => setDefault(id, patch)} showCooldown />
+      ))}
+
+      {deviceId && (
+        <>
+          <div className="toggle-item-row" style={{ marginTop: '10px' }}>
+            <label className="toggle-label-group">
+              <input type="checkbox" checked={!!overrides} onChange={(e) => toggleOverrides(e.target.checked)} />
+              <span>Override for <strong>{deviceId}</strong></span>
+            </label>
+          </div>
+          {overrides && Object.keys(RULE_TYPES).map((id) => (
+            <RuleRow
+              key={id}
+              id={id}
+              rule={{ ...config.defaults[id], ...overrides[id] }}
+              inherited={!overrides[id]}
+              onChange={(patch) => setOverride(id, patch)}
+            />
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// src/components/AlertToasts.jsx
+import React, { useEffect } from 'react';
+
+const TOAST_MS = 6000;
+
+function AlertToast({ toast, onDismiss }) {
+  useEffect(() => {
+    const t = setTimeout(() => onDismiss(toast.id), TOAST_MS);
+    return () => clearTimeout(t);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <div className={`alert-toast ${toast.tone ?? 'info'}`} role="status">
+      <div className="alert-toast-body">
+        <strong>{toast.title}</strong>
+        {toast.text && <span>{toast.text}</span>}
+      </div>
+      <button className="btn-icon" onClick={() => onDismiss(toast.id)} aria-label="Dismiss">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M18 6L6 18M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+// Stack of alert notifications (zone crossings etc.); each dismisses itself
+// after a few seconds. The copy-confirmation toast stays separate.
+export default function AlertToasts({ toasts, onDismiss }) {
+  if (toasts.length === 0) return null;
+  return (
+    <div className="alert-toast-stack" aria-live="polite">
+      {toasts.map((toast) => (
+        <AlertToast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+// src/components/BasemapEditor.jsx
+import React, { useState } from 'react';
+import { BASEMAP_TYPES, createBasemap } from '../utils/basemaps.js';
+
+const EMPTY_FORM = { label: '', type: 'xyz', url: '', layers: '', attribution: '', maxZoom: '18' };
+
+const URL_HINTS = {
+  xyz: 'https://tiles.example.org/{z}/{x}/{y}.png',
+  tms: 'https://tiles.example.org/tms/{z}/{x}/{y}.png',
+  wms: 'https://maps.example.org/wms',
+};
+
+// Settings section: operator-added basemap sources (XYZ, TMS or WMS).
+export default function BasemapEditor({ basemaps, onAdd, onRemove }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [adding, setAdding] = useState(false);
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  const entry = createBasemap({ ...form, maxZoom: Number(form.maxZoom) });
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!entry) return;
+    onAdd(entry);
+    setForm(EMPTY_FORM);
+    setAdding(false);
+  };
+
+  return (
+    <div className="basemap-editor">
+      <div className="geofence-log-head">
+        <span className="style-label">Custom basemaps</span>
+        {!adding && <button className="btn small" onClick={() => setAdding(true)}>+ Add</button>}
+      </div>
+
+      {basemaps.length === 0 && !adding && (
+        <p className="muted" style={{ fontSize: '12px' }}>Add satellite, topo or in-house tile servers.</p>
+      )}
+
+      {basemaps.length > 0 && (
+        <ul className="geofence-list">
+          {basemaps.map((b) => (
+            <li key={b.id} className="geofence-row">
+              <span className="basemap-type">{b.type.toUpperCase()}</span>
+              <span className="basemap-label" title={b.url}>{b.label}</span>
+              <button
+                className="btn-icon"
+                onClick={() => onRemove(b.id)}
+                aria-label={`Remove ${b.label}`}
+                title="Remove basemap"
+              >
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M18 6L6 18M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {adding && (
+        <form className="basemap-form" onSubmit={submit}>
+          <input type="text" value={form.label} onChange={set('label')} placeholder="Name" aria-label="Basemap name" />
+          <div className="basemap-form-row">
+            <select value={form.type} onChange={set('type')} aria-label="Source type">
+              {BASEMAP_TYPES.map((t) => (
+                <option key={t.id} value={t.id}>{t.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="22"
+              value={form.maxZoom}
+              onChange={set('maxZoom')}
+              aria-label="Max zoom"
+              title="Max zoom"
+            />
+          </div>
+          <input type="url" value={form.url} onChange={set('url')} placeholder={URL_HINTS[form.type]} aria-label="URL" />
+          {form.type === 'wms' && (
+            <input type="text" value={form.layers} onChange={set('layers')} placeholder="WMS layers, e.g. topo:base" aria-label="WMS layers" />
+          )}
+          <input
+            type="text"
+            value={form.attribution}
+            onChange={set('attribution')}
+            placeholder="Attribution, e.g. © Survey Dept"
+            aria-label="Attribution"
+          />
+          <div className="style-toggles">
+            <button className="btn small active" type="submit" disabled={!entry}>Add basemap</button>
+            <button
+              className="btn small"
+              type="button"
+              onClick={() => {
+                setForm(EMPTY_FORM);
+                setAdding(false);
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// src/components/BasemapLayer.jsx
+import React, { useEffect } from 'react';
+import { TileLayer, WMSTileLayer, useMap } from 'react-leaflet';
+
+// The active basemap. Swapping sources replaces only this layer (keyed by
+// source), so the map keeps its zoom and pan; the map's max zoom follows the
+// source.
+export default function BasemapLayer({ basemap }) {
+  const map = useMap();
+
+  useEffect(() => {
+    map.setMaxZoom(basemap.maxZoom);
+  }, [map, basemap.maxZoom]);
+
+  const options = {
+    attribution: basemap.attribution,
+    maxZoom: basemap.maxZoom,
+    // Built-in sources send CORS headers, which lets the service worker cache
+    // their tiles; an in-house server may not, so custom ones load plainly
+    crossOrigin: basemap.custom ? undefined : 'anonymous',
+  };
+
+  if (basemap.type === 'wms') {
+    return (
+      <WMSTileLayer
+        key={`${basemap.id}:${basemap.url}:${basemap.layers}`}
+        url={basemap.url}
+        params={{ layers: basemap.layers, format: 'image/png', transparent: false }}
+        {...options}
+      />
+    );
+  }
+  return (
+    <TileLayer
+      key={`${basemap.id}:${basemap.url}`}
+      url={basemap.url}
+      tms={basemap.type === 'tms'}
+      {...options}
+    />
+  );
+}
@@ -0,0 +1,65 @@
+// src/components/DiagnosticsPanel.jsx
+import React, { useState } from 'react';
+
+// "+2.4 s" / "−850 ms"
+const formatOffset = (ms) => {
+  const sign = ms > 0 ? '+' : ms < 0 ? '−' : '±';
+  const abs = Math.abs(ms);
+  return abs >= 1000 ? `${sign}${(abs / 1000).toFixed(1)} s` : `${sign}${abs} ms`;
+};
+
+// Offsets under this are within what the 1s Date header can resolve
+const SKEW_NOTICE_MS = 2000;
+
+// Sidebar panel: clock skew against the server and connection internals.
+export default function DiagnosticsPanel({ skew, connection, transport, streamStatus, formatTime }) {
+  const [open, setOpen] = useState(false);
+  const skewed = skew.samples > 0 && Math.abs(skew.offsetMs) >= SKEW_NOTICE_MS;
+
+  return (
+    <div className="panel-section glass diagnostics-panel">
+      <div className="panel-head">
+        <h2>Diagnostics</h2>
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          {skewed && (
+            <div className="chip warning" style={{ fontSize: '10px', padding: '4px 8px' }} title="Browser clock differs from the server">
+              Clock {formatOffset(skew.offsetMs)}
+            </div>
+          )}
+          <button className="btn small" onClick={() => setOpen((v) => !v)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <dl className="diagnostics-grid">
+          <dt>Clock offset</dt>
+          <dd>
+            {skew.samples === 0
+              ? 'not measured (no Date header seen)'
+              : `${formatOffset(skew.offsetMs)} (server − browser)`}
+          </dd>
+          {skew.samples > 0 && (
+            <>
+              <dt>Uncertainty</dt>
+              <dd>±{Math.round((skew.spreadMs + 1000) / 2)} ms · RTT {skew.rttMs} ms</dd>
+              <dt>Samples</dt>
+              <dd>{skew.samples} · updated {formatTime(Math.floor(skew.updatedAt / 1000))}</dd>
+            </>
+          )}
+          <dt>Connection</dt>
+          <dd>{connection.status} · circuit {connection.circuit} · {connection.failures} failures</dd>
+          {connection.lastError && (
+            <>
+              <dt>Last error</dt>
+              <dd>{connection.lastError}</dd>
+            </>
+          )}
+          <dt>Feed</dt>
+          <dd>{transport}{transport !== 'polling' && ` · ${streamStatus}`}</dd>
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+// src/components/ExportMenu.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { EXPORT_FORMATS } from '../utils/exportTrack.js';
+
+// "Export" button with a format dropdown; closes on pick or outside click.
+export default function ExportMenu({ disabled, onExport }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  return (
+    <div className="export-menu" ref={rootRef}>
+      <button
+        className="btn small"
+        disabled={disabled}
+        onClick={() => setOpen((v) => !v)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title="Download the loaded track"
+      >
+        ⤓ Export
+      </button>
+      {open && (
+        <div className="export-menu-list" role="menu">
+          {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+            <button
+              key={id}
+              role="menuitem"
+              onClick={() => {
+                setOpen(false);
+                onExport(id);
+              }}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
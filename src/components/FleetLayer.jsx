@@ -0,0 +1,128 @@
+// src/components/FleetLayer.jsx
+import React, { useEffect, useMemo } from 'react';
+import { Polyline, Popup, useMap } from 'react-leaflet';
+import { divIcon, latLngBounds } from 'leaflet';
+import SmoothMarker from './SmoothMarker.jsx';
+
+// Distinct, dark-map friendly colors; units beyond the palette wrap around.
+export const FLEET_COLORS = [
+  '#ff8c00', '#38bdf8', '#a3e635', '#f472b6', '#facc15', '#a78bfa',
+  '#34d399', '#fb7185', '#60a5fa', '#fdba74', '#2dd4bf', '#e879f9',
+];
+
+const iconCache = new Map();
+
+function fleetIcon(color, focused) {
+  const key = `${color}-${focused}`;
+  if (!iconCache.has(key)) {
+    iconCache.set(key, divIcon({
+      className: `fleet-marker${focused ? ' focused' : ''}`,
+      html: `<span style="background:${color}"></span>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11],
+      popupAnchor: [0, -14],
+    }));
+  }
+  return iconCache.get(key);
+}
+
+// Last known position of a unit: latest fix, else the tail of its history
+export function unitPosition(unit) {
+  if (unit.latest) return [unit.latest.lat, unit.latest.lon];
+  const last = unit.history?.[unit.history.length - 1];
+  return last ? [last.lat, last.lon] : null;
+}
+
+// Fit-all and focus camera moves. `fitRequest` is a counter: bump it to refit.
+function FleetViewController({ units, focusedId, fitRequest, follow }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const positions = units.map(unitPosition).filter(Boolean);
+    if (positions.length === 0) return;
+    if (positions.length === 1) {
+      map.setView(positions[0], Math.max(map.getZoom(), 15), { animate: true });
+      return;
+    }
+    map.fitBounds(latLngBounds(positions), { padding: [60, 60], maxZoom: 16, animate: true });
+    // Only refit when explicitly asked, not on every position update
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fitRequest, map]);
+
+  const focused = units.find((u) => u.id === focusedId);
+  const focusedPosition = focused ? unitPosition(focused) : null;
+  const focusLat = focusedPosition?.[0];
+  const focusLon = focusedPosition?.[1];
+
+  useEffect(() => {
+    if (focusLat == null) return;
+    map.flyTo([focusLat, focusLon], Math.max(map.getZoom(), 15), { duration: 0.7 });
+    // Re-center on the focused unit's later fixes only while following
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusedId, map]);
+
+  useEffect(() => {
+    if (!follow || focusLat == null) return;
+    map.panTo([focusLat, focusLon], { animate: true, duration: 0.7 });
+  }, [follow, focusLat, focusLon, map]);
+
+  return null;
+}
+
+export default function FleetLayer({ units, focusedId, fitRequest, showPath, follow, onFocus }) {
+  const trails = useMemo(
+    () => units.map((u) => ({ id: u.id, positions: (u.history ?? []).map((p) => [p.lat, p.lon]) })),
+    [units]
+  );
+
+  return (
+    <>
+      <FleetViewController units={units} focusedId={focusedId} fitRequest={fitRequest} follow={follow} />
+
+      {showPath && trails.map(({ id, positions }) => {
+        if (positions.length < 2) return null;
+        const unit = units.find((u) => u.id === id);
+        const dimmed = focusedId && focusedId !== id;
+        return (
+          <Polyline
+            key={`trail-${id}`}
+            positions={positions}
+            pathOptions={{
+              color: unit.color,
+              weight: focusedId === id ? 6 : 4,
+              opacity: dimmed ? 0.25 : 0.85,
+              lineCap: 'round',
+              lineJoin: 'round',
+            }}
+          />
+        );
+      })}
+
+      {units.map((unit) => {
+        const position = unitPosition(unit);
+        if (!position) return null;
+        const focused = focusedId === unit.id;
+        return (
+          <SmoothMarker
+            key={`unit-${unit.id}`}
+            position={position}
+            icon={fleetIcon(unit.color, focused)}
+            opacity={focusedId && !focused ? 0.45 : 1}
+            zIndexOffset={focused ? 1000 : 0}
+            eventHandlers={{ click: () => onFocus?.(unit.id) }}
+          >
+            <Popup className="custom-popup">
+              <div className="popup-content">
+                <strong style={{ color: unit.color }}>{unit.id}</strong>
+                <div>{position[0].toFixed(6)}, {position[1].toFixed(6)}</div>
+                {unit.latest?.speed != null && <div>Speed: {unit.latest.speed.toFixed(2)} m/s</div>}
+                {unit.latest?.battery != null && <div>Battery: {unit.latest.battery}%</div>}
+                {unit.latest?.sos && <div style={{ color: '#ef4444', fontWeight: 700 }}>⚠ SOS ACTIVE</div>}
+              </div>
+            </Popup>
+          </SmoothMarker>
+        );
+      })}
+    </>
+  );
+}
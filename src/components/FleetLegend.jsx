@@ -0,0 +1,38 @@
+// src/components/FleetLegend.jsx
+import React from 'react';
+
+// Map overlay listing fleet units: click a row to focus that unit.
+export default function FleetLegend({ units, focusedId, onFocus, onFitAll, formatTime }) {
+  if (units.length === 0) return null;
+
+  return (
+    <div className="fleet-legend">
+      <div className="fleet-legend-head">
+        <span>Fleet · {units.length}</span>
+        <button className="btn small" onClick={onFitAll} title="Fit all units in view">
+          Fit all
+        </button>
+      </div>
+      <ul>
+        {units.map((unit) => {
+          const lastTs = unit.latest?.timestamp ?? unit.history?.[unit.history.length - 1]?.ts;
+          return (
+            <li key={unit.id}>
+              <button
+                className={`fleet-legend-row${focusedId === unit.id ? ' active' : ''}`}
+                onClick={() => onFocus(focusedId === unit.id ? null : unit.id)}
+                title={unit.error ? `${unit.error.title}: ${unit.error.hint}` : `Focus ${unit.id}`}
+              >
+                <span className="fleet-swatch" style={{ background: unit.color }} />
+                <span className="fleet-id">{unit.id}</span>
+                {unit.latest?.sos && <span className="fleet-flag sos">SOS</span>}
+                {unit.error && <span className="fleet-flag error">!</span>}
+                <span className="fleet-time">{lastTs ? formatTime(lastTs) : '--:--:--'}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
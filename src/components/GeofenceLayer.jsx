@@ -0,0 +1,97 @@
+// src/components/GeofenceLayer.jsx
+import React, { useEffect, useState } from 'react';
+import { Circle, Polygon, Polyline, CircleMarker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+
+const DRAFT_STYLE = { color: '#ffbd4a', weight: 2, dashArray: '6 6', fillOpacity: 0.1 };
+
+// Click handling while a fence is being drawn.
+//   circle:  click the center, then click again at the edge
+//   polygon: click each vertex; double-click (or Finish in the panel) to close
+function DrawHandler({ mode, draft, onDraftChange, onComplete }) {
+  const map = useMap();
+  const [cursor, setCursor] = useState(null);
+
+  useEffect(() => {
+    // Double-click closes the polygon instead of zooming
+    map.doubleClickZoom.disable();
+    map.getContainer().classList.add('drawing');
+    return () => {
+      map.doubleClickZoom.enable();
+      map.getContainer().classList.remove('drawing');
+    };
+  }, [map]);
+
+  useMapEvents({
+    click(e) {
+      const pt = [e.latlng.lat, e.latlng.lng];
+      if (mode === 'circle') {
+        if (draft.length === 0) {
+          onDraftChange([pt]);
+        } else {
+          const radiusM = map.distance(draft[0], pt);
+          if (radiusM > 0) onComplete({ center: draft[0], radiusM: Math.round(radiusM) });
+        }
+        return;
+      }
+      onDraftChange([...draft, pt]);
+    },
+    dblclick() {
+      // The double-click's own clicks add the last vertex twice; drop repeats
+      if (mode !== 'polygon') return;
+      const points = draft.filter((p, i) => i === 0 || p[0] !== draft[i - 1][0] || p[1] !== draft[i - 1][1]);
+      if (points.length >= 3) onComplete({ points });
+    },
+    mousemove(e) {
+      setCursor([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  if (draft.length === 0) return null;
+
+  if (mode === 'circle') {
+    return cursor ? <Circle center={draft[0]} radius={map.distance(draft[0], cursor)} pathOptions={DRAFT_STYLE} /> : null;
+  }
+
+  return (
+    <>
+      <Polyline positions={cursor ? [...draft, cursor] : draft} pathOptions={DRAFT_STYLE} />
+      {draft.map((p, i) => (
+        <CircleMarker key={`v-${i}`} center={p} radius={4} pathOptions={{ color: '#ffbd4a', fillOpacity: 1 }} />
+      ))}
+    </>
+  );
+}
+
+// Saved fences, highlighted when the tracked unit is inside, plus the draw tool.
+export default function GeofenceLayer({ fences, insideIds, drawMode, draft, onDraftChange, onComplete }) {
+  return (
+    <>
+      {fences.map((fence) => {
+        const inside = insideIds.has(fence.id);
+        const pathOptions = {
+          color: fence.color,
+          weight: inside ? 3 : 2,
+          fillOpacity: inside ? 0.25 : 0.1,
+        };
+        const label = (
+          <Tooltip direction="center" permanent className="fence-label">
+            {fence.name}
+          </Tooltip>
+        );
+        return fence.type === 'circle' ? (
+          <Circle key={fence.id} center={fence.center} radius={fence.radiusM} pathOptions={pathOptions}>
+            {label}
+          </Circle>
+        ) : (
+          <Polygon key={fence.id} positions={fence.points} pathOptions={pathOptions}>
+            {label}
+          </Polygon>
+        );
+      })}
+
+      {drawMode && (
+        <DrawHandler mode={drawMode} draft={draft} onDraftChange={onDraftChange} onComplete={onComplete} />
+      )}
+    </>
+  );
+}
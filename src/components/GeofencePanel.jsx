@@ -0,0 +1,122 @@
+// src/components/GeofencePanel.jsx
+import React from 'react';
+import { GLOBAL_SCOPE } from '../utils/geofence.js';
+
+// Sidebar panel: draw tools, saved fences and the enter/exit event log.
+export default function GeofencePanel({
+  fences,
+  deviceId,
+  drawMode,
+  draftCount,
+  onDraw,
+  onFinishPolygon,
+  onCancelDraw,
+  onUpdate,
+  onDelete,
+  events,
+  onClearEvents,
+  sound,
+  onSoundChange,
+  formatTime,
+}) {
+  return (
+    <div className="panel-section glass geofence-panel">
+      <div className="panel-head">
+        <h2>Geofences</h2>
+        <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
+          {fences.length} zones
+        </div>
+      </div>
+
+      {drawMode ? (
+        <div className="geofence-drawing">
+          <p className="muted">
+            {drawMode === 'circle'
+              ? draftCount === 0 ? 'Click the map to place the center.' : 'Click again to set the radius.'
+              : `Click to add vertices (${draftCount}); double-click or Finish to close.`}
+          </p>
+          <div className="style-toggles">
+            {drawMode === 'polygon' && (
+              <button className="btn small active" disabled={draftCount < 3} onClick={onFinishPolygon}>
+                Finish
+              </button>
+            )}
+            <button className="btn small" onClick={onCancelDraw}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div className="style-toggles">
+          <button className="btn small" onClick={() => onDraw('circle')}>+ Circle</button>
+          <button className="btn small" onClick={() => onDraw('polygon')}>+ Polygon</button>
+        </div>
+      )}
+
+      {fences.length > 0 && (
+        <ul className="geofence-list">
+          {fences.map((fence) => (
+            <li key={fence.id} className="geofence-row">
+              <span className="fleet-swatch" style={{ background: fence.color }} />
+              <input
+                type="text"
+                value={fence.name}
+                onChange={(e) => onUpdate(fence.id, { name: e.target.value })}
+                aria-label="Zone name"
+              />
+              <select
+                value={fence.scope}
+                onChange={(e) => onUpdate(fence.id, { scope: e.target.value })}
+                aria-label="Applies to"
+                title="Applies to"
+              >
+                <option value={GLOBAL_SCOPE}>All units</option>
+                {fence.scope !== GLOBAL_SCOPE && fence.scope !== deviceId && (
+                  <option value={fence.scope}>{fence.scope}</option>
+                )}
+                {deviceId && <option value={deviceId}>{deviceId}</option>}
+              </select>
+              <button
+                className="btn-icon"
+                onClick={() => onDelete(fence.id)}
+                aria-label={`Delete ${fence.name}`}
+                title="Delete zone"
+              >
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M18 6L6 18M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="toggle-item-row">
+        <label className="toggle-label-group">
+          <input type="checkbox" checked={sound} onChange={(e) => onSoundChange(e.target.checked)} />
+          <span>Sound on enter/exit</span>
+        </label>
+      </div>
+
+      <div className="geofence-log-head">
+        <span className="style-label">Event log</span>
+        {events.length > 0 && (
+          <button className="btn small" onClick={onClearEvents}>Clear</button>
+        )}
+      </div>
+      {events.length === 0 ? (
+        <p className="muted" style={{ fontSize: '12px' }}>No zone crossings yet.</p>
+      ) : (
+        <ul className="geofence-log">
+          {events.map((ev) => (
+            <li key={ev.id} className={`geofence-event ${ev.type}`}>
+              <span className="geofence-event-type">{ev.type === 'enter' ? 'IN' : 'OUT'}</span>
+              <span className="geofence-event-text">
+                <strong>{ev.deviceId}</strong> {ev.type === 'enter' ? 'entered' : 'left'} {ev.fenceName}
+              </span>
+              <span className="fleet-time">{formatTime(ev.ts)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
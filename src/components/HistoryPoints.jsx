@@ -0,0 +1,127 @@
+// src/components/HistoryPoints.jsx
+import React, { useEffect, useMemo, useRef } from 'react';
+import { CircleMarker, Popup, useMap } from 'react-leaflet';
+import { pointDetail } from '../utils/track.js';
+
+// Minimum screen distance between drawn points; denser fixes share a marker
+const POINT_SPACING_PX = 16;
+
+// One marker per POINT_SPACING_PX grid cell at the current zoom, standing in
+// for the newest fix in that cell. Only points near the view are considered.
+function decimate(map, points, zoom, bounds) {
+  if (zoom == null || !bounds) return [];
+  const padLat = (bounds.north - bounds.south) * 0.2;
+  const padLon = (bounds.east - bounds.west) * 0.2;
+  const cells = new Map();
+  points.forEach((p, index) => {
+    if (p.lat < bounds.south - padLat || p.lat > bounds.north + padLat) return;
+    if (p.lon < bounds.west - padLon || p.lon > bounds.east + padLon) return;
+    const px = map.project([p.lat, p.lon], zoom);
+    const key = `${Math.floor(px.x / POINT_SPACING_PX)}:${Math.floor(px.y / POINT_SPACING_PX)}`;
+    const cell = cells.get(key);
+    if (cell) {
+      cell.index = index;
+      cell.count += 1;
+    } else {
+      cells.set(key, { index, count: 1 });
+    }
+  });
+  return [...cells.values()];
+}
+
+function PointPopup({ points, index, count, formatTime, formatDuration }) {
+  const { point, fromPrevM, sincePrevSec, speedMs } = pointDetail(points, index);
+  return (
+    <Popup className="custom-popup">
+      <div className="popup-content">
+        <strong>Fix {index + 1} of {points.length}</strong>
+        <div>{new Date(point.ts * 1000).toLocaleDateString()} {formatTime(point.ts)}</div>
+        <div>{point.lat.toFixed(6)}, {point.lon.toFixed(6)}</div>
+        <div>Speed: {speedMs != null ? `${speedMs.toFixed(2)} m/s` : '--'}</div>
+        {fromPrevM != null && (
+          <div>
+            {fromPrevM < 1000 ? `${fromPrevM.toFixed(0)} m` : `${(fromPrevM / 1000).toFixed(2)} km`} from previous fix
+            {sincePrevSec > 0 && ` (${formatDuration(sincePrevSec)})`}
+          </div>
+        )}
+        {count > 1 && <small>{count - 1} more fixes here at this zoom</small>}
+      </div>
+    </Popup>
+  );
+}
+
+// Clickable fixes along the live track. Clicking one selects it; the selected
+// fix (`highlightTs`, drawn even when `showAll` is off) carries the popup,
+// closing that popup calls `onClear(ts)`, and bumping `focus.request` pans
+// to it.
+export default function HistoryPoints({
+  points,
+  showAll,
+  zoom,
+  bounds,
+  highlightTs,
+  focus,
+  onSelect,
+  onClear,
+  formatTime,
+  formatDuration,
+}) {
+  const map = useMap();
+  const highlightRef = useRef(null);
+
+  const cells = useMemo(
+    () => (showAll ? decimate(map, points, zoom, bounds) : []),
+    [map, showAll, points, zoom, bounds]
+  );
+  const highlightIndex = highlightTs == null ? -1 : points.findIndex((p) => p.ts === highlightTs);
+  const highlighted = highlightIndex >= 0 ? points[highlightIndex] : null;
+
+  useEffect(() => {
+    highlightRef.current?.openPopup();
+  }, [highlightTs]);
+
+  useEffect(() => {
+    if (!focus.request || !highlighted) return;
+    map.setView([highlighted.lat, highlighted.lon], Math.max(map.getZoom(), 16), { animate: true });
+    highlightRef.current?.openPopup();
+    // Pan only on request, not as the track updates
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focus.request, map]);
+
+  return (
+    <>
+      {cells.map(({ index, count }) => {
+        const p = points[index];
+        if (index === highlightIndex) return null;
+        return (
+          <CircleMarker
+            key={`pt-${p.ts}`}
+            center={[p.lat, p.lon]}
+            radius={count > 1 ? 5 : 4}
+            pathOptions={{ color: '#0a0e1a', weight: 2, fillColor: '#ff8c00', fillOpacity: 1 }}
+            eventHandlers={{ click: () => onSelect(p.ts) }}
+          />
+        );
+      })}
+
+      {highlighted && (
+        <CircleMarker
+          key={`pt-${highlighted.ts}-highlight`}
+          ref={highlightRef}
+          center={[highlighted.lat, highlighted.lon]}
+          radius={8}
+          pathOptions={{ color: '#fff', weight: 3, fillColor: '#ff8c00', fillOpacity: 1 }}
+          eventHandlers={{ popupclose: () => onClear(highlighted.ts) }}
+        >
+          <PointPopup
+            points={points}
+            index={highlightIndex}
+            count={cells.find((c) => c.index === highlightIndex)?.count ?? 1}
+            formatTime={formatTime}
+            formatDuration={formatDuration}
+          />
+        </CircleMarker>
+      )}
+    </>
+  );
+}
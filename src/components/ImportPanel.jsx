@@ -0,0 +1,130 @@
+// src/components/ImportPanel.jsx
+import React, { useRef } from 'react';
+import { IMPORT_EXTENSIONS } from '../utils/importTrack.js';
+import { trackSummary } from '../utils/track.js';
+
+const formatKm = (km) => (km < 1 ? `${(km * 1000).toFixed(0)} m` : `${km.toFixed(2)} km`);
+
+// Sidebar panel: file picker, imported overlays and a comparison against the
+// live device track.
+export default function ImportPanel({
+  overlays,
+  liveTrack,
+  onFiles,
+  onUpdate,
+  onFit,
+  onRemove,
+  formatTime,
+  formatDuration,
+}) {
+  const inputRef = useRef(null);
+
+  const rows = [
+    ...(liveTrack ? [{ id: 'live', name: liveTrack.name, color: '#ff8c00', points: liveTrack.points }] : []),
+    ...overlays.filter((o) => o.visible),
+  ].map((t) => ({ ...t, summary: trackSummary(t.points) }));
+
+  return (
+    <div className="panel-section glass import-panel">
+      <div className="panel-head">
+        <h2>Imported tracks</h2>
+        <button className="btn small" onClick={() => inputRef.current?.click()} title="GPX, KML, GeoJSON or CSV">
+          ⤒ Open file
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={IMPORT_EXTENSIONS.join(',')}
+          multiple
+          hidden
+          onChange={(e) => {
+            onFiles(Array.from(e.target.files));
+            // Allow picking the same file again after removing it
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {overlays.length === 0 ? (
+        <p className="muted" style={{ fontSize: '12px' }}>
+          Drop a GPX, KML, GeoJSON or CSV log onto the map, or open one here.
+        </p>
+      ) : (
+        <ul className="import-list">
+          {overlays.map((o) => (
+            <li key={o.id} className="import-row">
+              <input
+                type="checkbox"
+                checked={o.visible}
+                onChange={(e) => onUpdate(o.id, { visible: e.target.checked })}
+                aria-label={`Show ${o.name}`}
+              />
+              <input
+                type="color"
+                value={o.color}
+                onChange={(e) => onUpdate(o.id, { color: e.target.value })}
+                aria-label="Line color"
+              />
+              <input
+                type="text"
+                value={o.name}
+                onChange={(e) => onUpdate(o.id, { name: e.target.value })}
+                aria-label="Overlay name"
+              />
+              <span className="import-format">{o.format.toUpperCase()}</span>
+              <button
+                className={`btn small ${o.dashed ? 'active' : ''}`}
+                onClick={() => onUpdate(o.id, { dashed: !o.dashed })}
+                title="Dashed line"
+              >
+                ┅
+              </button>
+              <button className="btn small" onClick={() => onFit(o.id)} title="Zoom to track">⤢</button>
+              <button
+                className="btn-icon"
+                onClick={() => onRemove(o.id)}
+                aria-label={`Remove ${o.name}`}
+                title="Remove overlay"
+              >
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M18 6L6 18M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {overlays.length > 0 && rows.length > 1 && (
+        <table className="import-compare">
+          <thead>
+            <tr>
+              <th>Track</th>
+              <th>Points</th>
+              <th>Distance</th>
+              <th>Duration</th>
+              <th>Span</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((t) => (
+              <tr key={t.id}>
+                <td>
+                  <span className="fleet-swatch" style={{ background: t.color }} /> {t.name}
+                </td>
+                <td>{t.summary.count}</td>
+                <td>{formatKm(t.summary.distanceKm)}</td>
+                <td>{formatDuration(t.summary.durationSec)}</td>
+                <td>
+                  {t.summary.startTs != null
+                    ? `${formatTime(t.summary.startTs)} – ${formatTime(t.summary.endTs)}`
+                    : '--'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+// src/components/ImportedTracks.jsx
+import React from 'react';
+import { Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+
+// Imported file tracks drawn as overlays under the live track.
+export default function ImportedTracks({ overlays, formatTime }) {
+  return overlays
+    .filter((o) => o.visible && o.points.length > 0)
+    .map((o) => {
+      const positions = o.points.map((p) => [p.lat, p.lon]);
+      const first = o.points[0];
+      const last = o.points[o.points.length - 1];
+      return (
+        <React.Fragment key={o.id}>
+          <Polyline
+            positions={positions}
+            pathOptions={{
+              color: o.color,
+              weight: 4,
+              opacity: 0.85,
+              dashArray: o.dashed ? '8 8' : null,
+              lineCap: 'round',
+              lineJoin: 'round',
+            }}
+          >
+            <Tooltip sticky>{o.name}</Tooltip>
+          </Polyline>
+          <CircleMarker center={[first.lat, first.lon]} radius={5} pathOptions={{ color: o.color, fillOpacity: 1 }}>
+            <Tooltip>{o.name} · start {formatTime(first.ts)}</Tooltip>
+          </CircleMarker>
+          <CircleMarker center={[last.lat, last.lon]} radius={5} pathOptions={{ color: '#fff', fillColor: o.color, fillOpacity: 1 }}>
+            <Tooltip>{o.name} · end {formatTime(last.ts)}</Tooltip>
+          </CircleMarker>
+        </React.Fragment>
+      );
+    });
+}
@@ -0,0 +1,65 @@
+// src/components/IncidentLog.jsx
+import React from 'react';
+import { isOpenIncident, needsAcknowledgement } from '../utils/incidents.js';
+
+const incidentState = (incident) => {
+  if (needsAcknowledgement(incident)) return { label: 'Unacked', tone: 'danger' };
+  if (isOpenIncident(incident)) return { label: 'Active', tone: 'warning' };
+  return { label: 'Closed', tone: 'ghost' };
+};
+
+// Sidebar panel: SOS incidents with raise / acknowledge / clear times.
+export default function IncidentLog({ incidents, onSelect, formatTime }) {
+  const formatStamp = (ts) => (ts == null ? '—' : `${new Date(ts * 1000).toLocaleDateString()} ${formatTime(ts)}`);
+
+  return (
+    <div className="panel-section glass incident-log">
+      <div className="panel-head">
+        <h2>SOS incidents</h2>
+        <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
+          {incidents.length}
+        </div>
+      </div>
+
+      {incidents.length === 0 ? (
+        <p className="muted" style={{ fontSize: '12px' }}>No SOS incidents recorded.</p>
+      ) : (
+        <ul className="incident-rows">
+          {incidents.map((incident) => {
+            const state = incidentState(incident);
+            return (
+              <li key={incident.id} className="incident-row">
+                <button className="incident-row-head" onClick={() => onSelect(incident)} title="Show this unit">
+                  <strong>{incident.deviceId}</strong>
+                  <span className={`chip ${state.tone}`}>{state.label}</span>
+                </button>
+                <dl>
+                  <dt>Raised</dt>
+                  <dd>{formatStamp(incident.raisedAt)} · {incident.lat.toFixed(5)}, {incident.lon.toFixed(5)}</dd>
+                  <dt>Acked</dt>
+                  <dd>
+                    {incident.acknowledgedAt == null
+                      ? '—'
+                      : `${formatStamp(incident.acknowledgedAt)} by ${incident.acknowledgedBy}`}
+                  </dd>
+                  {incident.note && (
+                    <>
+                      <dt>Note</dt>
+                      <dd>{incident.note}</dd>
+                    </>
+                  )}
+                  <dt>Cleared</dt>
+                  <dd>
+                    {incident.clearedAt == null
+                      ? '—'
+                      : `${formatStamp(incident.clearedAt)} · ${incident.clearedLat.toFixed(5)}, ${incident.clearedLon.toFixed(5)}`}
+                  </dd>
+                </dl>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+// src/components/OfflineMapPanel.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { canPredownload } from '../utils/basemaps.js';
+import {
+  countTiles,
+  tilesForBounds,
+  tileUrl,
+  predownloadTiles,
+  countCachedTiles,
+  clearTileCache,
+  tileCacheSupported,
+  MAX_PREDOWNLOAD_TILES,
+} from '../utils/tileCache.js';
+
+// Sidebar panel: pre-download the visible area's tiles for a zoom range so
+// the map keeps working without a network.
+export default function OfflineMapPanel({ bounds, zoom, basemap }) {
+  const [minZoom, setMinZoom] = useState(null);
+  const [maxZoom, setMaxZoom] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [cached, setCached] = useState(0);
+  const abortRef = useRef(null);
+
+  const supported = tileCacheSupported();
+  const from = minZoom ?? zoom ?? 12;
+  const to = Math.min(basemap.maxZoom, maxZoom ?? (zoom ?? 12) + 2);
+  // Counted, not listed: the list is only built once a download starts
+  const tileCount = bounds && from <= to ? countTiles(bounds, from, to, MAX_PREDOWNLOAD_TILES) : 0;
+  const tooMany = tileCount > MAX_PREDOWNLOAD_TILES;
+  const running = progress != null;
+
+  useEffect(() => {
+    if (supported) countCachedTiles().then(setCached);
+  }, [supported]);
+
+  // Stop a running download when the panel goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const download = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setSummary(null);
+    const urls = tilesForBounds(bounds, from, to).map((t) => tileUrl(basemap, t));
+    setProgress({ done: 0, total: urls.length });
+    const result = await predownloadTiles(urls, {
+      signal: controller.signal,
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    console.log('[TILES] pre-download', result);
+    setProgress(null);
+    setSummary({ ...result, aborted: controller.signal.aborted });
+    setCached(await countCachedTiles());
+  };
+
+  const clear = async () => {
+    await clearTileCache();
+    setCached(0);
+    setSummary(null);
+  };
+
+  const zoomInput = (id, value, onChange) => (
+    <input
+      id={id}
+      type="number"
+      min="1"
+      max={basemap.maxZoom}
+      value={value}
+      disabled={running}
+      onChange={(e) => onChange(Math.min(basemap.maxZoom, Math.max(1, Number(e.target.value) || 1)))}
+    />
+  );
+
+  return (
+    <div className="panel-section glass offline-map-panel">
+      <div className="panel-head">
+        <h2>Offline map</h2>
+        <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
+          {cached.toLocaleString()} tiles cached
+        </div>
+      </div>
+
+      {!supported && <p className="muted" style={{ fontSize: '12px' }}>This browser can't cache map tiles.</p>}
+      {supported && !canPredownload(basemap) && (
+        <p className="muted" style={{ fontSize: '12px' }}>
+          {basemap.label} is a WMS source; only tiles you view are cached. Switch to an XYZ/TMS basemap to pre-download an area.
+        </p>
+      )}
+      {supported && canPredownload(basemap) && (
+        <>
+          <p className="muted" style={{ fontSize: '12px', marginBottom: '8px' }}>
+            Save the visible area ({basemap.label}) for use without a network. Tiles you pan over are cached too.
+          </p>
+          <div className="trip-settings">
+            <label className="field-label" htmlFor="offlineMinZoom">
+              From zoom
+              {zoomInput('offlineMinZoom', from, setMinZoom)}
+            </label>
+            <label className="field-label" htmlFor="offlineMaxZoom">
+              To zoom
+              {zoomInput('offlineMaxZoom', to, setMaxZoom)}
+            </label>
+          </div>
+
+          {running ? (
+            <div className="offline-progress">
+              <div className="offline-progress-bar">
+                <span style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+              </div>
+              <small>{progress.done} / {progress.total}</small>
+              <button className="btn small" onClick={() => abortRef.current?.abort()}>Cancel</button>
+            </div>
+          ) : (
+            <div className="style-toggles">
+              <button
+                className="btn small active"
+                disabled={!bounds || tileCount === 0 || tooMany}
+                onClick={download}
+              >
+                Download {tooMany ? `${MAX_PREDOWNLOAD_TILES.toLocaleString()}+` : tileCount.toLocaleString()} tiles
+              </button>
+              {cached > 0 && <button className="btn small" onClick={clear}>Clear cache</button>}
+            </div>
+          )}
+
+          {tooMany && (
+            <p className="muted" style={{ fontSize: '11px', color: '#f59e0b' }}>
+              Over {MAX_PREDOWNLOAD_TILES.toLocaleString()} tiles; zoom in or narrow the zoom range.
+            </p>
+          )}
+          {summary && (
+            <p className="muted" style={{ fontSize: '11px' }}>
+              {summary.aborted ? 'Cancelled: ' : ''}
+              {summary.fetched} downloaded, {summary.skipped} already cached
+              {summary.failed > 0 && `, ${summary.failed} failed`}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
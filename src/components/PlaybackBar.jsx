@@ -0,0 +1,73 @@
+// src/components/PlaybackBar.jsx
+import React from 'react';
+
+export const PLAYBACK_SPEEDS = [1, 5, 10, 30, 60];
+
+// Timeline scrubber over [start, end] (epoch seconds) with play/pause and speed.
+export default function PlaybackBar({
+  start,
+  end,
+  playhead,
+  playing,
+  speed,
+  onSeek,
+  onTogglePlay,
+  onSpeedChange,
+  onClose,
+  formatTime,
+}) {
+  const atEnd = playhead >= end;
+
+  return (
+    <div className="playback-bar" role="group" aria-label="Track playback">
+      <button
+        className="btn-icon"
+        onClick={onTogglePlay}
+        aria-label={playing ? 'Pause playback' : 'Play track'}
+        title={playing ? 'Pause' : atEnd ? 'Replay' : 'Play'}
+      >
+        {playing ? (
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+            <rect x="6" y="4" width="4" height="16" />
+            <rect x="14" y="4" width="4" height="16" />
+          </svg>
+        ) : (
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M6 4l14 8-14 8z" />
+          </svg>
+        )}
+      </button>
+
+      <span className="playback-time">{formatTime(Math.floor(playhead))}</span>
+      <input
+        type="range"
+        className="playback-scrubber"
+        min={start}
+        max={end}
+        step="1"
+        value={Math.floor(playhead)}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        aria-label="Playback position"
+      />
+      <span className="playback-time muted">{formatTime(end)}</span>
+
+      <div className="style-toggles">
+        {PLAYBACK_SPEEDS.map((s) => (
+          <button
+            key={s}
+            className={speed === s ? 'btn small active' : 'btn small'}
+            onClick={() => onSpeedChange(s)}
+          >
+            {s}x
+          </button>
+        ))}
+      </div>
+
+      <button className="btn-icon" onClick={onClose} aria-label="Exit playback" title="Back to live">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M18 6L6 18M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+  );
+}
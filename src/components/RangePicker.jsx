@@ -0,0 +1,70 @@
+// src/components/RangePicker.jsx
+import React, { useState } from 'react';
+import {
+  RANGE_PRESETS,
+  resolveRange,
+  toDateTimeLocal,
+  fromDateTimeLocal,
+} from '../utils/timeRange.js';
+import { nowSec } from '../utils/clock.js';
+
+// History range presets plus a custom from/to picker.
+export default function RangePicker({ range, onChange }) {
+  const [customFrom, setCustomFrom] = useState(() => toDateTimeLocal(range.from ?? nowSec() - 3600));
+  const [customTo, setCustomTo] = useState(() => toDateTimeLocal(range.to ?? nowSec()));
+  const [showCustom, setShowCustom] = useState(range.preset === 'custom');
+
+  const from = fromDateTimeLocal(customFrom);
+  const to = fromDateTimeLocal(customTo);
+  const customInvalid = from == null || (to != null && to <= from);
+
+  return (
+    <div className="range-picker">
+      <span className="style-label">History Range</span>
+      <div className="style-toggles range-presets">
+        {RANGE_PRESETS.map((p) => (
+          <button
+            key={p.id}
+            className={(p.id === 'custom' ? showCustom : !showCustom && range.preset === p.id) ? 'btn small active' : 'btn small'}
+            onClick={() => {
+              if (p.id === 'custom') {
+                setShowCustom(true);
+                return;
+              }
+              setShowCustom(false);
+              onChange(resolveRange(p.id));
+            }}
+          >
+            {p.label}
+          </button>
+        ))}
+      </div>
+
+      {showCustom && (
+        <div className="range-custom">
+          <label className="field-label" htmlFor="rangeFrom">From</label>
+          <input
+            id="rangeFrom"
+            type="datetime-local"
+            value={customFrom}
+            onChange={(e) => setCustomFrom(e.target.value)}
+          />
+          <label className="field-label" htmlFor="rangeTo">To (empty = now)</label>
+          <input
+            id="rangeTo"
+            type="datetime-local"
+            value={customTo}
+            onChange={(e) => setCustomTo(e.target.value)}
+          />
+          <button
+            className="btn primary"
+            disabled={customInvalid}
+            onClick={() => onChange(resolveRange('custom', { from, to }))}
+          >
+            Apply range
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+// src/components/RosterPanel.jsx
+import React, { useMemo, useState } from 'react';
+import { ROSTER_STALE_SEC, sortRoster } from '../utils/roster.js';
+import { nowSec as clockNowSec } from '../utils/clock.js';
+
+// Sidebar list of known devices: search, favorites and one-click switching.
+export default function RosterPanel({ roster, activeId, onSelect, onToggleFavorite, formatTime }) {
+  const [query, setQuery] = useState('');
+
+  const entries = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const all = Object.values(roster);
+    return sortRoster(q ? all.filter((e) => e.id.toLowerCase().includes(q)) : all);
+  }, [roster, query]);
+
+  const nowSec = clockNowSec();
+  const total = Object.keys(roster).length;
+
+  return (
+    <div className="panel-section glass roster-panel">
+      <div className="panel-head">
+        <h2>Roster</h2>
+        <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>{total} units</div>
+      </div>
+
+      {total > 0 && (
+        <div className="control-group">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search units"
+            aria-label="Search roster"
+            autoComplete="off"
+          />
+        </div>
+      )}
+
+      {total === 0 && (
+        <small className="muted">Devices you look up will be listed here.</small>
+      )}
+      {total > 0 && entries.length === 0 && (
+        <small className="muted">No unit matches &quot;{query}&quot;.</small>
+      )}
+
+      <ul className="roster-list">
+        {entries.map((entry) => {
+          const stale = entry.lastSeen == null || nowSec - entry.lastSeen > ROSTER_STALE_SEC;
+          return (
+            <li key={entry.id} className={`roster-row${entry.id === activeId ? ' active' : ''}`}>
+              <button
+                className={`roster-star${entry.favorite ? ' on' : ''}`}
+                onClick={() => onToggleFavorite(entry.id, !entry.favorite)}
+                aria-label={entry.favorite ? `Unpin ${entry.id}` : `Pin ${entry.id}`}
+                title={entry.favorite ? 'Unpin' : 'Pin to top'}
+              >
+                {entry.favorite ? '★' : '☆'}
+              </button>
+              <button className="roster-main" onClick={() => onSelect(entry.id)} title={`Track ${entry.id}`}>
+                <span className="roster-id">{entry.id}</span>
+                <span className="roster-meta">
+                  {entry.lastSeen ? formatTime(entry.lastSeen) : 'never seen'}
+                  {entry.battery != null && ` · ${entry.battery}%`}
+                </span>
+              </button>
+              {entry.sos && <span className="fleet-flag sos">SOS</span>}
+              <span className={`roster-badge ${stale ? 'stale' : 'online'}`}>{stale ? 'Stale' : 'Online'}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+// src/components/SettingsPanel.jsx
+import React, { useRef, useState } from 'react';
+import BasemapEditor from './BasemapEditor.jsx';
+
+// Sidebar panel: named settings profiles plus JSON export/import. Changes to
+// the preferences themselves are saved to the active profile as they happen.
+export default function SettingsPanel({
+  store,
+  showTooltips,
+  onShowTooltipsChange,
+  onSwitch,
+  onSaveAs,
+  onDelete,
+  onExport,
+  onImport,
+  onAddBasemap,
+  onRemoveBasemap,
+}) {
+  const [newName, setNewName] = useState('');
+  const fileRef = useRef(null);
+  const names = Object.keys(store.profiles);
+  const trimmed = newName.trim();
+
+  const saveAs = (e) => {
+    e.preventDefault();
+    if (!trimmed) return;
+    onSaveAs(trimmed);
+    setNewName('');
+  };
+
+  return (
+    <div className="panel-section glass settings-panel">
+      <div className="panel-head">
+        <h2>Settings</h2>
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <button className="btn small" onClick={onExport} title="Download all profiles as JSON">Export</button>
+          <button className="btn small" onClick={() => fileRef.current?.click()} title="Load profiles from JSON">
+            Import
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
+        </div>
+      </div>
+
+      <label className="field-label" htmlFor="settingsProfile">Profile</label>
+      <div className="settings-profile-row">
+        <select id="settingsProfile" value={store.active} onChange={(e) => onSwitch(e.target.value)}>
+          {names.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button
+          className="btn small"
+          disabled={names.length < 2}
+          onClick={() => onDelete(store.active)}
+          title="Delete this profile"
+        >
+          Delete
+        </button>
+      </div>
+
+      <form className="settings-profile-row" onSubmit={saveAs}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New profile, e.g. Night shift wall display"
+          aria-label="New profile name"
+        />
+        <button className="btn small" type="submit" disabled={!trimmed}>
+          {store.profiles[trimmed] ? 'Overwrite' : 'Save as'}
+        </button>
+      </form>
+
+      <div className="toggle-item-row">
+        <label className="toggle-label-group">
+          <input type="checkbox" checked={showTooltips} onChange={(e) => onShowTooltipsChange(e.target.checked)} />
+          <span>Show hint tooltips</span>
+        </label>
+      </div>
+
+      <p className="muted" style={{ fontSize: '11px' }}>
+        Device, refresh interval, map style, path, follow and panel toggles are saved to “{store.active}” as you change them.
+      </p>
+
+      <BasemapEditor basemaps={store.basemaps} onAdd={onAddBasemap} onRemove={onRemoveBasemap} />
+    </div>
+  );
+}
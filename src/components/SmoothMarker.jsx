@@ -0,0 +1,100 @@
+// src/components/SmoothMarker.jsx
+import React, { useEffect, useRef } from 'react';
+import { Marker } from 'react-leaflet';
+
+const ease = (t, linear) => (linear ? t : t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+// Marker that eases between successive positions instead of jumping.
+// `duration` is the easing time in ms and `linear` drops the ease-in-out
+// (for steady motion such as playback); extra props (icon, opacity,
+// eventHandlers, ...) go straight to <Marker>.
+//
+// `rotation` (degrees clockwise from north) eases the same way, along the
+// shorter arc, and is exposed to the icon as the `--heading` CSS variable on
+// the marker element; null keeps the last value.
+export default function SmoothMarker({ position, rotation = null, children, duration = 700, linear = false, ...markerProps }) {
+  const markerRef = useRef({ lat: position[0], lon: position[1] });
+  const animRef = useRef(null);
+  const leafletRef = useRef(null);
+  const rotationRef = useRef(rotation ?? 0);
+  const rotateAnimRef = useRef(null);
+
+  const applyRotation = () => {
+    leafletRef.current?.getElement?.()?.style.setProperty('--heading', `${rotationRef.current}deg`);
+  };
+
+  useEffect(() => {
+    const from = { ...markerRef.current };
+    const to = { lat: position[0], lon: position[1] };
+    if (from.lat === to.lat && from.lon === to.lon) return;
+
+    const start = performance.now();
+
+    cancelAnimationFrame(animRef.current);
+
+    function step(now) {
+      const t = Math.min(1, (now - start) / duration);
+      const k = ease(t, linear);
+      const lat = from.lat + (to.lat - from.lat) * k;
+      const lon = from.lon + (to.lon - from.lon) * k;
+
+      markerRef.current = { lat, lon };
+
+      if (leafletRef.current && leafletRef.current.setLatLng) {
+        leafletRef.current.setLatLng([lat, lon]);
+      }
+
+      if (t < 1) {
+        animRef.current = requestAnimationFrame(step);
+      }
+    }
+
+    animRef.current = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(animRef.current);
+  }, [position, duration, linear]);
+
+  useEffect(() => {
+    if (rotation == null) return undefined;
+    const from = rotationRef.current;
+    // Signed difference in (-180, 180] so 350° -> 10° turns through north
+    const delta = ((((rotation - from) % 360) + 540) % 360) - 180;
+    if (delta === 0) return undefined;
+
+    const start = performance.now();
+
+    cancelAnimationFrame(rotateAnimRef.current);
+
+    function step(now) {
+      const t = Math.min(1, (now - start) / duration);
+      rotationRef.current = (from + delta * ease(t, linear) + 360) % 360;
+      applyRotation();
+      if (t < 1) {
+        rotateAnimRef.current = requestAnimationFrame(step);
+      }
+    }
+
+    rotateAnimRef.current = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(rotateAnimRef.current);
+  }, [rotation, duration, linear]);
+
+  // A new icon is a new element; carry the current rotation over to it
+  useEffect(applyRotation, [markerProps.icon]);
+
+  return (
+    <Marker
+      {...markerProps}
+      position={[markerRef.current.lat, markerRef.current.lon]}
+      ref={(m) => {
+        if (m && m.setLatLng) {
+          leafletRef.current = m;
+        } else if (m && m._leaflet_id) {
+          leafletRef.current = m;
+        }
+      }}
+    >
+      {children}
+    </Marker>
+  );
+}
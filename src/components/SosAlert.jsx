@@ -0,0 +1,58 @@
+// src/components/SosAlert.jsx
+import React, { useState } from 'react';
+
+// Alarm card for the oldest unacknowledged SOS incident. It stays up after the
+// unit clears the flag, until an operator acknowledges it.
+export default function SosAlert({ incident, pendingCount, operator, onAcknowledge, onLocate, formatTime }) {
+  const [name, setName] = useState(operator);
+  const [note, setNote] = useState('');
+  const active = incident.clearedAt == null;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onAcknowledge(incident.id, { operator: name, note });
+    setNote('');
+  };
+
+  return (
+    <div className={`sos-alert${active ? ' active' : ''}`} role="alertdialog" aria-labelledby="sosAlertTitle">
+      <div className="sos-alert-head">
+        <h3 id="sosAlertTitle">⚠ SOS {active ? 'ACTIVE' : 'CLEARED'}</h3>
+        {pendingCount > 1 && <span className="chip danger">+{pendingCount - 1} more</span>}
+      </div>
+      <p>
+        Unit <strong>{incident.deviceId}</strong> raised SOS at {formatTime(incident.raisedAt)}
+        <br />
+        {incident.lastLat.toFixed(6)}, {incident.lastLon.toFixed(6)}
+        {!active && <> · cleared {formatTime(incident.clearedAt)}</>}
+      </p>
+
+      <form className="sos-ack-form" onSubmit={submit}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Operator name"
+          aria-label="Operator name"
+          required
+        />
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (optional)"
+          aria-label="Acknowledgement note"
+        />
+        <div className="sos-ack-actions">
+          <button type="button" className="btn small" onClick={() => onLocate(incident)}>
+            Show unit
+          </button>
+          <button type="submit" className="btn small sos-ack-btn" disabled={!name.trim()}>
+            Acknowledge
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
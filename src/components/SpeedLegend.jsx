@@ -0,0 +1,75 @@
+// src/components/SpeedLegend.jsx
+import React, { useState } from 'react';
+import { SPEED_RAMPS, UNKNOWN_SPEED_COLOR, parseThresholds } from '../utils/speed.js';
+
+// Map overlay explaining trail colors, with ramp and threshold settings.
+export default function SpeedLegend({ thresholds, colors, ramp, onRampChange, onThresholdsChange }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(thresholds.join(', '));
+  const parsed = parseThresholds(draft);
+
+  const labels = colors.map((_, i) => {
+    if (i === 0) return `< ${thresholds[0]}`;
+    if (i === thresholds.length) return `≥ ${thresholds[thresholds.length - 1]}`;
+    return `${thresholds[i - 1]}–${thresholds[i]}`;
+  });
+
+  return (
+    <div className="speed-legend">
+      <div className="speed-legend-head">
+        <span>Speed (m/s)</span>
+        <button
+          className="btn small"
+          onClick={() => {
+            setDraft(thresholds.join(', '));
+            setEditing((v) => !v);
+          }}
+        >
+          {editing ? 'Done' : 'Edit'}
+        </button>
+      </div>
+
+      <ul>
+        {colors.map((color, i) => (
+          <li key={color + i}>
+            <span className="speed-swatch" style={{ background: color }} />
+            {labels[i]}
+          </li>
+        ))}
+        <li>
+          <span className="speed-swatch" style={{ background: UNKNOWN_SPEED_COLOR }} />
+          unknown
+        </li>
+      </ul>
+
+      {editing && (
+        <div className="speed-legend-edit">
+          <div className="style-toggles">
+            {Object.entries(SPEED_RAMPS).map(([id, r]) => (
+              <button
+                key={id}
+                className={ramp === id ? 'btn small active' : 'btn small'}
+                onClick={() => onRampChange(id)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <label className="field-label" htmlFor="speedThresholds">Thresholds (m/s)</label>
+          <input
+            id="speedThresholds"
+            type="text"
+            value={draft}
+            onChange={(e) => {
+              setDraft(e.target.value);
+              const next = parseThresholds(e.target.value);
+              if (next) onThresholdsChange(next);
+            }}
+            aria-invalid={!parsed}
+            placeholder="1, 3, 8, 15"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+// src/components/SpeedTrail.jsx
+import React, { useMemo, useState } from 'react';
+import { Polyline, Tooltip, useMap } from 'react-leaflet';
+import { LineUtil } from 'leaflet';
+import { speedBin, UNKNOWN_SPEED_COLOR } from '../utils/speed.js';
+import { simplifyPositions } from '../utils/simplify.js';
+import { useCanvasRenderer } from './TrackLine.jsx';
+
+// Trail drawn as runs of same-bin segments. Hovering a run finds the segment
+// under the cursor and shows its own speed and time span. Runs are simplified
+// for `zoom` like the plain trail, and `useCanvas` draws them on a canvas for
+// long tracks.
+export default function SpeedTrail({ segments, thresholds, colors, formatTime, zoom = null, weight = 5, useCanvas = false }) {
+  const map = useMap();
+  const renderer = useCanvasRenderer(useCanvas);
+  const [hovered, setHovered] = useState(null);
+
+  // Consecutive segments in the same bin share one polyline
+  const runs = useMemo(() => {
+    const out = [];
+    segments.forEach((seg) => {
+      const bin = speedBin(seg.speed, thresholds);
+      const last = out[out.length - 1];
+      if (last && last.bin === bin) {
+        last.segments.push(seg);
+        last.positions.push(seg.positions[1]);
+      } else {
+        out.push({ bin, segments: [seg], positions: [seg.positions[0], seg.positions[1]] });
+      }
+    });
+    return out;
+  }, [segments, thresholds]);
+
+  // Hover still measures against the full segments; only drawing is simplified
+  const drawn = useMemo(() => runs.map((run) => simplifyPositions(run.positions, zoom)), [runs, zoom]);
+
+  const nearestSegment = (run, latlng) => {
+    const p = map.latLngToLayerPoint(latlng);
+    let best = null;
+    let bestDist = Infinity;
+    run.segments.forEach((seg) => {
+      const a = map.latLngToLayerPoint(seg.positions[0]);
+      const b = map.latLngToLayerPoint(seg.positions[1]);
+      const d = LineUtil.pointToSegmentDistance(p, a, b);
+      if (d < bestDist) {
+        bestDist = d;
+        best = seg;
+      }
+    });
+    return best;
+  };
+
+  return runs.map((run, i) => (
+    <Polyline
+      key={`speed-run-${i}-${run.segments[0].index}-${useCanvas ? 'canvas' : 'svg'}`}
+      positions={drawn[i]}
+      renderer={renderer}
+      pathOptions={{
+        color: run.bin === -1 ? UNKNOWN_SPEED_COLOR : colors[run.bin],
+        weight,
+        opacity: 0.9,
+        lineCap: 'round',
+        lineJoin: 'round',
+      }}
+      eventHandlers={{
+        mousemove: (e) => setHovered(nearestSegment(run, e.latlng)),
+        mouseout: () => setHovered(null),
+      }}
+    >
+      <Tooltip sticky className="speed-tooltip">
+        {hovered && run.segments.includes(hovered) ? (
+          <span>
+            <strong>{hovered.speed == null ? 'no speed' : `${hovered.speed.toFixed(2)} m/s`}</strong>
+            {hovered.speed != null && !hovered.reported && ' (derived)'}
+            <br />
+            {formatTime(hovered.startTs)} → {formatTime(hovered.endTs)}
+          </span>
+        ) : ''}
+      </Tooltip>
+    </Polyline>
+  ));
+}
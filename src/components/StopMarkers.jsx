@@ -0,0 +1,42 @@
+// src/components/StopMarkers.jsx
+import React from 'react';
+import { Marker, Popup } from 'react-leaflet';
+import { divIcon } from 'leaflet';
+
+// Cached per number: a new icon on every render would make each poll replace
+// every stop marker's DOM node
+const iconCache = new Map();
+
+function stopIcon(n) {
+  if (!iconCache.has(n)) {
+    iconCache.set(n, divIcon({
+      className: 'stop-marker',
+      html: `<span>${n}</span>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11],
+      popupAnchor: [0, -12],
+    }));
+  }
+  return iconCache.get(n);
+}
+
+// Dwell markers for detected stops, numbered in track order.
+export default function StopMarkers({ stops, formatTime, formatDuration }) {
+  return stops.map((stop, i) => (
+    <Marker
+      key={`stop-${stop.arrival}`}
+      position={[stop.lat, stop.lon]}
+      icon={stopIcon(i + 1)}
+    >
+      <Popup className="custom-popup">
+        <div className="popup-content">
+          <strong>Stop {i + 1}</strong>
+          <div>{stop.lat.toFixed(6)}, {stop.lon.toFixed(6)}</div>
+          <div>Arrived {formatTime(stop.arrival)}</div>
+          <div>Left {formatTime(stop.departure)}</div>
+          <small>Dwell {formatDuration(stop.durationSec)} · {stop.points} points</small>
+        </div>
+      </Popup>
+    </Marker>
+  ));
+}
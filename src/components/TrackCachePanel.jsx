@@ -0,0 +1,89 @@
+// src/components/TrackCachePanel.jsx
+import React, { useEffect, useState } from 'react';
+
+// Blank input <-> null (no limit)
+const toInput = (v) => (v == null ? '' : String(v));
+const fromInput = (v) => (v.trim() === '' || !(Number(v) > 0) ? null : Math.floor(Number(v)));
+
+// Sidebar panel: what the local track store holds and its retention policy.
+// Retention only applies on Apply, since it deletes cached points.
+export default function TrackCachePanel({ devices, retention, onRetentionChange, onSelect, formatTime }) {
+  const [maxAgeDays, setMaxAgeDays] = useState(toInput(retention.maxAgeDays));
+  const [maxPoints, setMaxPoints] = useState(toInput(retention.maxPointsPerDevice));
+
+  useEffect(() => {
+    setMaxAgeDays(toInput(retention.maxAgeDays));
+    setMaxPoints(toInput(retention.maxPointsPerDevice));
+  }, [retention]);
+
+  const draft = { maxAgeDays: fromInput(maxAgeDays), maxPointsPerDevice: fromInput(maxPoints) };
+  const dirty = draft.maxAgeDays !== retention.maxAgeDays || draft.maxPointsPerDevice !== retention.maxPointsPerDevice;
+  const total = devices.reduce((sum, d) => sum + d.count, 0);
+
+  return (
+    <div className="panel-section glass track-cache-panel">
+      <div className="panel-head">
+        <h2>Local track cache</h2>
+        <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
+          {total.toLocaleString()} points
+        </div>
+      </div>
+
+      {devices.length === 0 ? (
+        <p className="muted" style={{ fontSize: '12px' }}>Nothing cached yet.</p>
+      ) : (
+        <ul className="track-cache-list">
+          {devices.map((d) => (
+            <li key={d.id}>
+              <button className="track-cache-row" onClick={() => onSelect(d.id)} title={`Open ${d.id}`}>
+                <strong>{d.id}</strong>
+                <span>{d.count.toLocaleString()} pts</span>
+                <span className="fleet-time">{formatTime(d.lastSeen)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="trip-settings">
+        <label className="field-label" htmlFor="retentionDays">
+          Keep (days)
+          <input
+            id="retentionDays"
+            type="number"
+            min="1"
+            placeholder="forever"
+            value={maxAgeDays}
+            onChange={(e) => setMaxAgeDays(e.target.value)}
+          />
+        </label>
+        <label className="field-label" htmlFor="retentionPoints">
+          Max points / unit
+          <input
+            id="retentionPoints"
+            type="number"
+            min="100"
+            step="1000"
+            placeholder="no limit"
+            value={maxPoints}
+            onChange={(e) => setMaxPoints(e.target.value)}
+          />
+        </label>
+      </div>
+      {dirty && (
+        <div className="style-toggles">
+          <button className="btn small active" onClick={() => onRetentionChange(draft)}>Apply retention</button>
+          <button
+            className="btn small"
+            onClick={() => {
+              setMaxAgeDays(toInput(retention.maxAgeDays));
+              setMaxPoints(toInput(retention.maxPointsPerDevice));
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+// src/components/TrackLine.jsx
+import React, { useEffect, useMemo } from 'react';
+import { Polyline, useMap } from 'react-leaflet';
+import { canvas } from 'leaflet';
+
+// A canvas renderer for this map while `enabled`, else undefined (Leaflet's
+// default SVG). One SVG path per long trail makes panning crawl; a canvas
+// redraws it as a bitmap.
+export function useCanvasRenderer(enabled) {
+  const map = useMap();
+  const renderer = useMemo(() => (enabled ? canvas({ padding: 0.5 }) : undefined), [enabled, map]);
+  useEffect(() => () => renderer?.remove(), [renderer]);
+  return renderer;
+}
+
+// Polyline that can draw on a canvas. The renderer is fixed when a layer is
+// created, so switching it remounts the line.
+export default function TrackLine({ positions, pathOptions, useCanvas = false, children }) {
+  const renderer = useCanvasRenderer(useCanvas);
+  return (
+    <Polyline
+      key={useCanvas ? 'canvas' : 'svg'}
+      positions={positions}
+      pathOptions={pathOptions}
+      renderer={renderer}
+    >
+      {children}
+    </Polyline>
+  );
+}
@@ -0,0 +1,78 @@
+// src/components/TripList.jsx
+import React from 'react';
+
+const formatKm = (km) => (km < 1 ? `${(km * 1000).toFixed(0)} m` : `${km.toFixed(2)} km`);
+
+// Sidebar panel: trips between detected stops, plus the detection thresholds.
+export default function TripList({
+  trips,
+  stops,
+  radiusM,
+  minDwellMin,
+  onRadiusChange,
+  onMinDwellChange,
+  onSelectTrip,
+  selectedIndex,
+  formatTime,
+  formatDuration,
+}) {
+  return (
+    <div className="panel-section glass trip-list">
+      <div className="panel-head">
+        <h2>Trips</h2>
+        <div className="chip" style={{ fontSize: '10px', padding: '4px 8px' }}>
+          {trips.length} trips · {stops.length} stops
+        </div>
+      </div>
+
+      <div className="trip-settings">
+        <label className="field-label" htmlFor="stopRadius">
+          Stop radius (m)
+          <input
+            id="stopRadius"
+            type="number"
+            min="5"
+            step="5"
+            value={radiusM}
+            onChange={(e) => onRadiusChange(Number(e.target.value))}
+          />
+        </label>
+        <label className="field-label" htmlFor="stopMinDwell">
+          Min dwell (min)
+          <input
+            id="stopMinDwell"
+            type="number"
+            min="1"
+            step="1"
+            value={minDwellMin}
+            onChange={(e) => onMinDwellChange(Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {trips.length === 0 ? (
+        <p className="muted" style={{ fontSize: '12px' }}>Not enough track yet to split into trips.</p>
+      ) : (
+        <ol className="trip-rows">
+          {trips.map((trip, i) => (
+            <li key={`trip-${trip.startTs}`}>
+              <button
+                className={`trip-row${selectedIndex === i ? ' active' : ''}`}
+                onClick={() => onSelectTrip(selectedIndex === i ? null : i)}
+                title="Show this trip on the map"
+              >
+                <span className="trip-index">{i + 1}</span>
+                <span className="trip-time">
+                  {formatTime(trip.startTs)} → {formatTime(trip.endTs)}
+                </span>
+                <span className="trip-metrics">
+                  {formatKm(trip.distanceKm)} · {formatDuration(trip.durationSec)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
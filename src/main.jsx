@@ -9,3 +9,13 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   </React.StrictMode>,
 )
 
+
+// Offline support (app shell + map tiles). Skipped in dev, where it would
+// serve stale modules over Vite's HMR.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((e) => {
+      console.warn('[SW] registration failed', e)
+    })
+  })
+}
@@ -0,0 +1,113 @@
+// src/utils/alertRules.js
+// Threshold alert rules evaluated on each load result and stream message (the
+// stale-fix rule also on a timer), with per-device overrides and per-rule
+// cooldowns. Config is persisted in localStorage.
+//
+// Config: { defaults: { [ruleId]: Rule }, overrides: { [deviceId]: { [ruleId]: Partial<Rule> } } }
+// Rule:   { enabled, threshold, cooldownMin }
+
+import { nowSec as clockNowSec } from './clock.js';
+
+const RULES_KEY = 'alert_rules';
+
+export const RULE_TYPES = {
+  lowBattery: { label: 'Low battery', unit: '%', comparator: 'below', severity: 'warning', threshold: 20 },
+  overspeed: { label: 'Overspeed', unit: 'm/s', comparator: 'above', severity: 'warning', threshold: 15 },
+  staleFix: { label: 'No fix', unit: 'min', comparator: 'for over', severity: 'danger', threshold: 10 },
+  // Fires when cleanAndSortHistory drops a point as a spike; no threshold
+  jump: { label: 'Position jump', unit: null, comparator: null, severity: 'info', threshold: null },
+};
+
+export const DEFAULT_RULE_CONFIG = {
+  defaults: Object.fromEntries(
+    Object.entries(RULE_TYPES).map(([id, t]) => [id, { enabled: true, threshold: t.threshold, cooldownMin: 15 }])
+  ),
+  overrides: {},
+};
+
+export function loadRuleConfig() {
+  try {
+    const raw = localStorage.getItem(RULES_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (!parsed || typeof parsed !== 'object') return DEFAULT_RULE_CONFIG;
+    // Fill in rule types added since the config was saved
+    return {
+      defaults: Object.fromEntries(
+        Object.keys(RULE_TYPES).map((id) => [id, { ...DEFAULT_RULE_CONFIG.defaults[id], ...parsed.defaults?.[id] }])
+      ),
+      overrides: parsed.overrides && typeof parsed.overrides === 'object' ? parsed.overrides : {},
+    };
+  } catch (e) {
+    console.warn('[RULES] read error', e);
+    return DEFAULT_RULE_CONFIG;
+  }
+}
+
+export function saveRuleConfig(config) {
+  try {
+    localStorage.setItem(RULES_KEY, JSON.stringify(config));
+  } catch (e) {
+    console.warn('[RULES] save error', e);
+  }
+}
+
+// Effective rules for one device: defaults with that device's overrides on top
+export function resolveRules(config, deviceId) {
+  const overrides = config.overrides[deviceId] ?? {};
+  return Object.fromEntries(
+    Object.keys(RULE_TYPES).map((id) => [id, { ...config.defaults[id], ...overrides[id] }])
+  );
+}
+
+const fmt = (v, digits = 1) => (Number.isInteger(v) ? String(v) : v.toFixed(digits));
+
+/**
+ * evaluateRules
+ * Checks one device snapshot against its rules. `latest` is the normalized
+ * fix (may be null), `spikes` the points the spike filter dropped during this
+ * load; `only` limits the check to some rule ids. Returns the rules currently
+ * firing; cooldowns are applied separately.
+ */
+export function evaluateRules(rules, { deviceId, latest, spikes = [], nowSec = clockNowSec(), only = null }) {
+  const hits = [];
+  const hit = (ruleId, detail) => hits.push({
+    ruleId,
+    deviceId,
+    severity: RULE_TYPES[ruleId].severity,
+    title: `${RULE_TYPES[ruleId].label} · ${deviceId}`,
+    detail,
+  });
+
+  const { lowBattery, overspeed, staleFix, jump } = rules;
+
+  if (lowBattery.enabled && latest?.battery != null && latest.battery < lowBattery.threshold) {
+    hit('lowBattery', `Battery ${latest.battery}% (below ${lowBattery.threshold}%)`);
+  }
+  if (overspeed.enabled && latest?.speed != null && latest.speed > overspeed.threshold) {
+    hit('overspeed', `${fmt(latest.speed)} m/s (limit ${overspeed.threshold} m/s)`);
+  }
+  if (staleFix.enabled && latest?.timestamp != null) {
+    const ageMin = (nowSec - latest.timestamp) / 60;
+    if (ageMin > staleFix.threshold) hit('staleFix', `Last fix ${Math.floor(ageMin)} min ago (limit ${staleFix.threshold} min)`);
+  }
+  if (jump.enabled && spikes.length > 0) {
+    const worst = spikes.reduce((a, b) => (b.km > a.km ? b : a));
+    hit('jump', `${spikes.length} spike point${spikes.length > 1 ? 's' : ''} dropped, up to ${fmt(worst.km)} km in ${worst.dt}s`);
+  }
+  return only ? hits.filter((h) => only.includes(h.ruleId)) : hits;
+}
+
+/**
+ * applyCooldowns
+ * Filters `hits` to those whose rule hasn't fired for that device within its
+ * cooldown. `lastFired` ({ 'device:rule': epochSec }) is updated in place.
+ */
+export function applyCooldowns(hits, rules, lastFired, nowSec = clockNowSec()) {
+  return hits.filter((h) => {
+    const key = `${h.deviceId}:${h.ruleId}`;
+    const cooldownSec = (rules[h.ruleId].cooldownMin ?? 0) * 60;
+    if (lastFired[key] != null && nowSec - lastFired[key] < cooldownSec) return false;
+    lastFired[key] = nowSec;
+    return true;
+  });
+}
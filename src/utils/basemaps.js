@@ -0,0 +1,101 @@
+// src/utils/basemaps.js
+// Basemap registry: built-in tile sources plus operator-added ones (kept in
+// the settings store, so they travel with exported settings).
+//
+// Entry: { id, label, type: 'xyz' | 'tms' | 'wms', url, attribution, maxZoom,
+//          subdomains?, layers? (WMS only), custom? }
+// XYZ/TMS urls use Leaflet's {s} {z} {x} {y} {r} placeholders; TMS flips y.
+// WMS urls are the service endpoint; `layers` names what to draw.
+
+export const BASEMAP_TYPES = [
+  { id: 'xyz', label: 'XYZ' },
+  { id: 'tms', label: 'TMS' },
+  { id: 'wms', label: 'WMS' },
+];
+
+export const DEFAULT_BASEMAP = 'standard';
+
+const OSM_ATTRIBUTION = '&copy; OpenStreetMap contributors';
+
+export const BUILTIN_BASEMAPS = [
+  {
+    id: 'standard',
+    label: 'Standard',
+    type: 'xyz',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: OSM_ATTRIBUTION,
+    maxZoom: 19,
+  },
+  {
+    id: 'dark',
+    label: 'Night Ops',
+    type: 'xyz',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: `${OSM_ATTRIBUTION} &copy; CARTO`,
+    maxZoom: 20,
+  },
+  {
+    id: 'satellite',
+    label: 'Satellite',
+    type: 'xyz',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles &copy; Esri, Maxar, Earthstar Geographics',
+    maxZoom: 19,
+  },
+  {
+    id: 'topo',
+    label: 'Topo',
+    type: 'xyz',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: `${OSM_ATTRIBUTION}, SRTM | &copy; OpenTopoMap (CC-BY-SA)`,
+    maxZoom: 17,
+  },
+];
+
+const BUILTIN_IDS = new Set(BUILTIN_BASEMAPS.map((b) => b.id));
+
+export const isBasemapId = (v) => typeof v === 'string' && /^[\w-]{1,64}$/.test(v);
+
+/**
+ * sanitizeBasemap
+ * A valid custom entry, or null. Attribution is rendered as HTML by Leaflet,
+ * so angle brackets are stripped: entities like &copy; still work, tags don't.
+ */
+export function sanitizeBasemap(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const type = BASEMAP_TYPES.some((t) => t.id === raw.type) ? raw.type : 'xyz';
+  const url = typeof raw.url === 'string' ? raw.url.trim() : '';
+  if (!/^https?:\/\//i.test(url)) return null;
+  if (type !== 'wms' && !['{z}', '{x}', '{y}'].every((p) => url.includes(p))) return null;
+  const layers = typeof raw.layers === 'string' ? raw.layers.trim() : '';
+  if (type === 'wms' && !layers) return null;
+  const label = typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim().slice(0, 40) : null;
+  if (!label || !isBasemapId(raw.id) || BUILTIN_IDS.has(raw.id)) return null;
+
+  const entry = {
+    id: raw.id,
+    label,
+    type,
+    url,
+    attribution: typeof raw.attribution === 'string' ? raw.attribution.replace(/[<>]/g, '').trim() : '',
+    maxZoom: Number.isFinite(raw.maxZoom) ? Math.min(22, Math.max(1, Math.round(raw.maxZoom))) : 18,
+    custom: true,
+  };
+  if (type === 'wms') entry.layers = layers;
+  return entry;
+}
+
+export const sanitizeBasemaps = (list) => (Array.isArray(list) ? list.map(sanitizeBasemap).filter(Boolean) : []);
+
+// New custom entry from the editor form; null when the input is invalid
+export const createBasemap = (fields) => sanitizeBasemap({ ...fields, id: `custom-${Date.now().toString(36)}` });
+
+export const basemapList = (custom = []) => [...BUILTIN_BASEMAPS, ...custom];
+
+// Unknown ids (a removed source, a link from another machine) fall back
+export function resolveBasemap(id, custom = []) {
+  return basemapList(custom).find((b) => b.id === id) ?? BUILTIN_BASEMAPS[0];
+}
+
+// Whether tiles can be listed ahead of time (WMS tiles are bbox requests)
+export const canPredownload = (basemap) => basemap.type !== 'wms';
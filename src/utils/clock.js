@@ -0,0 +1,20 @@
+// src/utils/clock.js
+// Server-corrected "now". The API client measures the browser→server clock
+// offset from response Date headers and feeds it in here; everything that
+// compares against the current time (ages, future-timestamp checks, range
+// presets) reads the clock through these helpers instead of Date.now().
+
+let offsetMs = 0;
+
+// Server time minus browser time, in ms (positive: the browser is behind)
+export function setClockOffset(ms) {
+  offsetMs = Number.isFinite(ms) ? ms : 0;
+}
+
+export function getClockOffset() {
+  return offsetMs;
+}
+
+export const nowMs = () => Date.now() + offsetMs;
+
+export const nowSec = () => Math.floor(nowMs() / 1000);
@@ -0,0 +1,98 @@
+// src/utils/deepLink.js
+// Shareable view state in the query string:
+//
+//   ?device=esp01&range=custom&from=1760000000&to=1760003600
+//    &map=29.86600,77.89050,15&style=dark&path=0&follow=0&t=1760001800
+//
+// Relative presets (hour, today, yesterday) are stored by name and resolved
+// again on open, so "today" in a link means the reader's today. Defaults are
+// left out to keep links short.
+
+import { RANGE_PRESETS, LIVE_RANGE, resolveRange, rangeKey } from './timeRange.js';
+import { DEFAULT_BASEMAP, isBasemapId } from './basemaps.js';
+
+export const LINK_DEFAULTS = { deviceId: 'esp01', mapStyle: DEFAULT_BASEMAP, showPath: true, followTarget: true };
+
+// Keys whose change is a new "place" (pushes history); the rest (map view,
+// playback time) update the current entry in place.
+const NAVIGATION_KEYS = ['device', 'range', 'from', 'to', 'style', 'path', 'follow'];
+
+const int = (v) => (v != null && /^-?\d+$/.test(v) ? Number(v) : null);
+const flag = (v) => (v === '1' ? true : v === '0' ? false : null);
+
+/**
+ * readLinkState
+ * Parse a query string into the parts of app state it carries. Missing or
+ * malformed values come back as undefined so callers keep their own values.
+ */
+export function readLinkState(search) {
+  const q = new URLSearchParams(search);
+  const state = {};
+
+  const device = q.get('device')?.trim();
+  if (device) state.deviceId = device;
+
+  // A link fixes the whole view: toggles it leaves out are the defaults, not
+  // whatever the reader has saved in their settings
+  const style = q.get('style');
+  if (isBasemapId(style)) state.mapStyle = style;
+  else if (device) state.mapStyle = LINK_DEFAULTS.mapStyle;
+
+  const path = flag(q.get('path'));
+  if (path != null) state.showPath = path;
+  else if (device) state.showPath = LINK_DEFAULTS.showPath;
+  const follow = flag(q.get('follow'));
+  if (follow != null) state.followTarget = follow;
+  else if (device) state.followTarget = LINK_DEFAULTS.followTarget;
+
+  const preset = q.get('range');
+  if (preset === 'custom') {
+    const from = int(q.get('from'));
+    const to = int(q.get('to'));
+    if (from != null && (to == null || to > from)) state.range = resolveRange('custom', { from, to });
+  } else if (preset && RANGE_PRESETS.some((p) => p.id === preset)) {
+    state.range = resolveRange(preset);
+  }
+
+  const [lat, lon, zoom] = (q.get('map') ?? '').split(',').map(Number);
+  if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    state.view = { lat, lon, zoom: Number.isFinite(zoom) ? Math.round(zoom) : 13 };
+  }
+
+  const t = int(q.get('t'));
+  if (t != null) state.playhead = t;
+
+  return state;
+}
+
+/**
+ * buildLinkSearch
+ * The query string ("?..." or "") for the given app state.
+ */
+export function buildLinkSearch({ deviceId, range, view, mapStyle, showPath, followTarget, playhead }) {
+  const q = new URLSearchParams();
+  if (deviceId) q.set('device', deviceId);
+  if (range && rangeKey(range) !== rangeKey(LIVE_RANGE)) {
+    q.set('range', range.preset);
+    if (range.preset === 'custom') {
+      if (range.from != null) q.set('from', String(range.from));
+      if (range.to != null) q.set('to', String(range.to));
+    }
+  }
+  if (view) q.set('map', `${view.lat.toFixed(5)},${view.lon.toFixed(5)},${view.zoom}`);
+  if (mapStyle !== LINK_DEFAULTS.mapStyle) q.set('style', mapStyle);
+  if (showPath !== LINK_DEFAULTS.showPath) q.set('path', showPath ? '1' : '0');
+  if (followTarget !== LINK_DEFAULTS.followTarget) q.set('follow', followTarget ? '1' : '0');
+  if (playhead != null) q.set('t', String(Math.floor(playhead)));
+  // Commas are legal in a query; keep "map=lat,lon,zoom" readable
+  const s = q.toString().replace(/%2C/g, ',');
+  return s ? `?${s}` : '';
+}
+
+// Navigation keys that differ between two query strings; any change here
+// should add a history entry
+export function navigationChanges(prevSearch, nextSearch) {
+  const a = new URLSearchParams(prevSearch);
+  const b = new URLSearchParams(nextSearch);
+  return NAVIGATION_KEYS.filter((k) => a.get(k) !== b.get(k));
+}
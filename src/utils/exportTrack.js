@@ -0,0 +1,213 @@
+// src/utils/exportTrack.js
+// Serialize a cleaned track (plus detected stops) to GPX, KML, GeoJSON or CSV
+// and download it client-side.
+//
+// Track points: { lat, lon, ts, speed?, battery? }; speed in m/s, battery in %.
+// Stops: as returned by detectStays().
+
+const iso = (ts) => new Date(ts * 1000).toISOString().replace('.000Z', 'Z');
+
+const escapeXml = (v) => String(v)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const has = (points, key) => points.some((p) => p[key] != null);
+
+const stopLabel = (stop, i) => `Stop ${i + 1}`;
+
+const stopDescription = (stop) => {
+  const minutes = Math.round(stop.durationSec / 60);
+  return `Arrived ${iso(stop.arrival)}, left ${iso(stop.departure)} (${minutes} min)`;
+};
+
+function toGPX(points, { deviceId, stops }) {
+  const waypoints = stops.map((stop, i) => [
+    `  <wpt lat="${stop.lat}" lon="${stop.lon}">`,
+    `    <time>${iso(stop.arrival)}</time>`,
+    `    <name>${escapeXml(stopLabel(stop, i))}</name>`,
+    `    <desc>${escapeXml(stopDescription(stop))}</desc>`,
+    '    <type>stop</type>',
+    '  </wpt>',
+  ].join('\n'));
+
+  const trkpts = points.map((p) => {
+    const ext = [];
+    if (p.speed != null) ext.push(`<gpxtpx:TrackPointExtension><gpxtpx:speed>${p.speed}</gpxtpx:speed></gpxtpx:TrackPointExtension>`);
+    if (p.battery != null) ext.push(`<mmtt:battery>${p.battery}</mmtt:battery>`);
+    return [
+      `      <trkpt lat="${p.lat}" lon="${p.lon}">`,
+      `        <time>${iso(p.ts)}</time>`,
+      ext.length ? `        <extensions>${ext.join('')}</extensions>` : null,
+      '      </trkpt>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="MMTT" xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    '  xmlns:mmtt="urn:mmtt:gpx-extensions">',
+    `  <metadata><name>${escapeXml(deviceId)}</name><time>${iso(points[0].ts)}</time></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(deviceId)}</name>`,
+    '    <trkseg>',
+    ...trkpts,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+function toKML(points, { deviceId, stops }) {
+  const arrays = [];
+  if (has(points, 'speed')) arrays.push(['speed', 'Speed (m/s)']);
+  if (has(points, 'battery')) arrays.push(['battery', 'Battery (%)']);
+
+  const schema = arrays.length
+    ? [
+      '    <Schema id="trackData">',
+      ...arrays.map(([key, label]) => `      <gx:SimpleArrayField name="${key}" type="float"><displayName>${label}</displayName></gx:SimpleArrayField>`),
+      '    </Schema>',
+    ]
+    : [];
+
+  const extended = arrays.length
+    ? [
+      '        <ExtendedData>',
+      '          <SchemaData schemaUrl="#trackData">',
+      ...arrays.map(([key]) => [
+        `            <gx:SimpleArrayData name="${key}">`,
+        ...points.map((p) => `              <gx:value>${p[key] ?? ''}</gx:value>`),
+        '            </gx:SimpleArrayData>',
+      ].join('\n')),
+      '          </SchemaData>',
+      '        </ExtendedData>',
+    ]
+    : [];
+
+  const stopMarks = stops.map((stop, i) => [
+    '    <Placemark>',
+    `      <name>${escapeXml(stopLabel(stop, i))}</name>`,
+    `      <description>${escapeXml(stopDescription(stop))}</description>`,
+    `      <TimeSpan><begin>${iso(stop.arrival)}</begin><end>${iso(stop.departure)}</end></TimeSpan>`,
+    `      <Point><coordinates>${stop.lon},${stop.lat}</coordinates></Point>`,
+    '    </Placemark>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(deviceId)}</name>`,
+    ...schema,
+    '    <Placemark>',
+    `      <name>${escapeXml(deviceId)} track</name>`,
+    '      <gx:Track>',
+    ...points.map((p) => `        <when>${iso(p.ts)}</when>`),
+    ...points.map((p) => `        <gx:coord>${p.lon} ${p.lat} 0</gx:coord>`),
+    ...extended,
+    '      </gx:Track>',
+    '    </Placemark>',
+    ...stopMarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+function toGeoJSON(points, { deviceId, stops }) {
+  const properties = {
+    deviceId,
+    start: iso(points[0].ts),
+    end: iso(points[points.length - 1].ts),
+    // Per-vertex arrays, same convention as togeojson's coordTimes
+    coordTimes: points.map((p) => iso(p.ts)),
+  };
+  if (has(points, 'speed')) properties.speeds = points.map((p) => p.speed ?? null);
+  if (has(points, 'battery')) properties.batteries = points.map((p) => p.battery ?? null);
+
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: points.map((p) => [p.lon, p.lat]) },
+        properties,
+      },
+      ...stops.map((stop, i) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [stop.lon, stop.lat] },
+        properties: {
+          kind: 'stop',
+          name: stopLabel(stop, i),
+          arrival: iso(stop.arrival),
+          departure: iso(stop.departure),
+          durationSec: stop.durationSec,
+        },
+      })),
+    ],
+  };
+  return `${JSON.stringify(collection, null, 2)}\n`;
+}
+
+function toCSV(points, { stops }) {
+  // Stop number for each point inside a detected stop, else empty
+  const stopOf = new Array(points.length).fill('');
+  stops.forEach((stop, i) => {
+    for (let k = stop.startIndex; k <= stop.endIndex; k += 1) stopOf[k] = i + 1;
+  });
+
+  const rows = points.map((p, i) => [
+    p.ts,
+    iso(p.ts),
+    p.lat,
+    p.lon,
+    p.speed ?? '',
+    p.battery ?? '',
+    stopOf[i],
+  ].join(','));
+  return ['ts,time,lat,lon,speed_mps,battery_pct,stop', ...rows, ''].join('\n');
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { label: 'GPX', ext: 'gpx', mime: 'application/gpx+xml', build: toGPX },
+  kml: { label: 'KML', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml', build: toKML },
+  geojson: { label: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json', build: toGeoJSON },
+  csv: { label: 'CSV', ext: 'csv', mime: 'text/csv', build: toCSV },
+};
+
+const localDate = (ts) => {
+  const d = new Date(ts * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// track_esp01_2026-10-18.gpx, or ..._2026-10-17_to_2026-10-18.gpx across days
+export function exportFileName(deviceId, points, format) {
+  const safeId = String(deviceId).replace(/[^\w.-]+/g, '_') || 'device';
+  const first = localDate(points[0].ts);
+  const last = localDate(points[points.length - 1].ts);
+  const dates = first === last ? first : `${first}_to_${last}`;
+  return `track_${safeId}_${dates}.${EXPORT_FORMATS[format].ext}`;
+}
+
+export function buildExport(format, points, { deviceId, stops = [] }) {
+  return EXPORT_FORMATS[format].build(points, { deviceId, stops });
+}
+
+export function downloadFile(name, content, mime) {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
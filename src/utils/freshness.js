@@ -0,0 +1,53 @@
+// src/utils/freshness.js
+// How current a unit's position is, judged by the age of its last
+// device-reported timestamp (never a server or local-clock stand-in).
+
+// Upper age bound (seconds) per state, checked in order; beyond the last → lost
+export const FRESHNESS_STATES = [
+  { id: 'live', label: 'Live', maxAgeSec: 60 },
+  { id: 'delayed', label: 'Delayed', maxAgeSec: 5 * 60 },
+  { id: 'stale', label: 'Stale', maxAgeSec: 60 * 60 },
+];
+
+export const LOST_STATE = { id: 'lost', label: 'Lost' };
+
+// "42s", "7m", "3h 12m", "2d 4h"
+export function formatAge(sec) {
+  if (sec == null) return '--';
+  const s = Math.max(0, Math.floor(sec));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h`;
+}
+
+/**
+ * freshnessOf
+ * Classifies a device timestamp (epoch seconds) against `nowSec`. With no
+ * device timestamp at all the unit counts as lost.
+ */
+export function freshnessOf(deviceTs, nowSec) {
+  if (deviceTs == null) return { ...LOST_STATE, ageSec: null };
+  const ageSec = Math.max(0, nowSec - deviceTs);
+  const state = FRESHNESS_STATES.find((f) => ageSec <= f.maxAgeSec) ?? LOST_STATE;
+  return { id: state.id, label: state.label, ageSec };
+}
+
+/**
+ * lastDeviceTimestamp
+ * The newest timestamp the device itself reported: the latest fix when its
+ * timestamp is device-sourced, otherwise the newest track point.
+ */
+export function lastDeviceTimestamp(latest, history) {
+  const tail = history?.length ? history[history.length - 1].ts : null;
+  const fromLatest = latest?.timestampSource === 'device' ? latest.timestamp : null;
+  if (fromLatest == null) return tail;
+  if (tail == null) return fromLatest;
+  return Math.max(fromLatest, tail);
+}
+
+// Short explanation for a fix whose timestamp isn't device-reported
+export const TIMESTAMP_SOURCE_NOTES = {
+  server: 'server time — the device sent no timestamp',
+  local: 'browser clock — neither device nor server gave a time',
+};
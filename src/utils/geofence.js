@@ -0,0 +1,110 @@
+// src/utils/geofence.js
+// Geofences persisted in localStorage, and enter/exit evaluation.
+//
+// Fence: { id, name, type: 'circle' | 'polygon', center, radiusM, points, scope, color }
+//   circle  → center [lat, lon] + radiusM
+//   polygon → points [[lat, lon], ...] (at least 3)
+//   scope   → GLOBAL_SCOPE, or the device ID the fence applies to
+
+import { haversineKm } from './track.js';
+
+const GEOFENCE_KEY = 'geofences';
+
+export const GLOBAL_SCOPE = '*';
+
+export const FENCE_COLORS = ['#6366f1', '#22c55e', '#ec4899', '#14b8a6', '#f59e0b', '#a855f7'];
+
+const isLatLon = (p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+
+function isValidFence(f) {
+  if (!f || typeof f !== 'object' || !f.id) return false;
+  if (f.type === 'circle') return isLatLon(f.center) && Number.isFinite(f.radiusM) && f.radiusM > 0;
+  if (f.type === 'polygon') return Array.isArray(f.points) && f.points.length >= 3 && f.points.every(isLatLon);
+  return false;
+}
+
+export function loadGeofences() {
+  try {
+    const raw = localStorage.getItem(GEOFENCE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter(isValidFence) : [];
+  } catch (e) {
+    console.warn('[GEOFENCE] read error', e);
+    return [];
+  }
+}
+
+export function saveGeofences(fences) {
+  try {
+    localStorage.setItem(GEOFENCE_KEY, JSON.stringify(fences));
+  } catch (e) {
+    console.warn('[GEOFENCE] save error', e);
+  }
+}
+
+export function createFence(type, geometry, index) {
+  return {
+    id: `fence-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: `Zone ${index + 1}`,
+    type,
+    scope: GLOBAL_SCOPE,
+    color: FENCE_COLORS[index % FENCE_COLORS.length],
+    ...geometry,
+  };
+}
+
+// Ray casting on raw lat/lon; fine at geofence scale away from the poles
+function pointInPolygon(lat, lon, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const [yi, xi] = points[i];
+    const [yj, xj] = points[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function isInsideFence(fence, lat, lon) {
+  if (fence.type === 'circle') {
+    return haversineKm(fence.center[0], fence.center[1], lat, lon) * 1000 <= fence.radiusM;
+  }
+  return pointInPolygon(lat, lon, fence.points);
+}
+
+export function fencesForDevice(fences, deviceId) {
+  return fences.filter((f) => f.scope === GLOBAL_SCOPE || f.scope === deviceId);
+}
+
+/**
+ * evaluateFences
+ * Walks `points` (ts-sorted) against `fences`, starting from `inside`
+ * ({ [fenceId]: boolean }). A fence with no prior state is seeded from the
+ * first point it sees without raising an event, so adding a fence or loading
+ * a backlog doesn't fire for where the unit already is.
+ * Returns the updated state and the enter/exit transitions in order.
+ */
+export function evaluateFences(fences, inside, points, deviceId) {
+  const state = { ...inside };
+  const events = [];
+  points.forEach((p) => {
+    fences.forEach((fence) => {
+      const now = isInsideFence(fence, p.lat, p.lon);
+      const was = state[fence.id];
+      state[fence.id] = now;
+      if (was === undefined || was === now) return;
+      events.push({
+        id: `${fence.id}:${deviceId}:${p.ts}`,
+        type: now ? 'enter' : 'exit',
+        fenceId: fence.id,
+        fenceName: fence.name,
+        deviceId,
+        lat: p.lat,
+        lon: p.lon,
+        ts: p.ts,
+      });
+    });
+  });
+  return { inside: state, events };
+}
@@ -0,0 +1,212 @@
+// src/utils/importTrack.js
+// Parse GPX / KML / GeoJSON / CSV track files into history points
+// ({ lat, lon, ts, speed?, battery? }), the same shape fetchHistory returns.
+// The result still needs cleanAndSortHistory; points without a usable time
+// are dropped there, so a file with no timestamps at all is rejected here.
+
+export class TrackImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrackImportError';
+  }
+}
+
+export const IMPORT_EXTENSIONS = ['.gpx', '.kml', '.geojson', '.json', '.csv'];
+
+// Seconds, milliseconds or an ISO/date string → epoch seconds
+function parseTime(v) {
+  if (v == null || v === '') return null;
+  const n = typeof v === 'number' ? v : /^\d+(\.\d+)?$/.test(String(v).trim()) ? Number(v) : NaN;
+  if (Number.isFinite(n)) return n > 1e12 ? Math.floor(n / 1000) : Math.floor(n);
+  const ms = Date.parse(String(v).trim());
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+const num = (v) => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+function point(lat, lon, ts, extra = {}) {
+  const p = { lat: Number(lat), lon: Number(lon), ts: parseTime(ts) };
+  const speed = num(extra.speed);
+  const battery = num(extra.battery);
+  if (speed != null) p.speed = speed;
+  if (battery != null) p.battery = battery;
+  return p;
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new TrackImportError('The file is not valid XML.');
+  }
+  return doc;
+}
+
+// Namespace-agnostic lookups (gx:, gpxtpx:, mmtt: ...)
+const byLocalName = (root, name) => Array.from(root.getElementsByTagName('*')).filter((el) => el.localName === name);
+const childText = (el, name) => byLocalName(el, name)[0]?.textContent?.trim() ?? null;
+
+function parseGPX(text) {
+  const doc = parseXml(text);
+  let nodes = byLocalName(doc, 'trkpt');
+  if (nodes.length === 0) nodes = byLocalName(doc, 'rtept');
+  if (nodes.length === 0) nodes = byLocalName(doc, 'wpt');
+  const name = childText(doc, 'name');
+  const points = nodes.map((el) => point(
+    el.getAttribute('lat'),
+    el.getAttribute('lon'),
+    childText(el, 'time'),
+    { speed: childText(el, 'speed'), battery: childText(el, 'battery') }
+  ));
+  return { name, points };
+}
+
+function parseKML(text) {
+  const doc = parseXml(text);
+  const name = childText(doc, 'name');
+  const points = [];
+
+  byLocalName(doc, 'Track').forEach((track) => {
+    const whens = byLocalName(track, 'when').map((el) => el.textContent.trim());
+    const arrays = {};
+    byLocalName(track, 'SimpleArrayData').forEach((arr) => {
+      arrays[arr.getAttribute('name')] = byLocalName(arr, 'value').map((el) => el.textContent.trim());
+    });
+    byLocalName(track, 'coord').forEach((el, i) => {
+      const [lon, lat] = el.textContent.trim().split(/\s+/);
+      points.push(point(lat, lon, whens[i], { speed: arrays.speed?.[i], battery: arrays.battery?.[i] }));
+    });
+  });
+
+  // Timed point placemarks (e.g. one Placemark per fix)
+  if (points.length === 0) {
+    byLocalName(doc, 'Placemark').forEach((pm) => {
+      const coords = byLocalName(pm, 'Point')[0] && childText(byLocalName(pm, 'Point')[0], 'coordinates');
+      if (!coords) return;
+      const [lon, lat] = coords.split(',');
+      const stamp = byLocalName(pm, 'TimeStamp')[0];
+      points.push(point(lat, lon, stamp ? childText(stamp, 'when') : null));
+    });
+  }
+  return { name, points };
+}
+
+function parseGeoJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new TrackImportError('The file is not valid JSON.');
+  }
+  const features = data.type === 'FeatureCollection'
+    ? data.features ?? []
+    : data.type === 'Feature' ? [data] : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const points = [];
+  let name = data.name ?? null;
+  features.forEach((f) => {
+    const g = f?.geometry;
+    const props = f?.properties ?? {};
+    if (!g) return;
+    name = name ?? props.name ?? props.deviceId ?? null;
+    if (g.type === 'Point') {
+      // Stop markers from our own export aren't track fixes
+      if (props.kind === 'stop') return;
+      const [lon, lat] = g.coordinates;
+      points.push(point(lat, lon, props.time ?? props.timestamp ?? props.ts, props));
+      return;
+    }
+    const lines = g.type === 'LineString' ? [g.coordinates] : g.type === 'MultiLineString' ? g.coordinates : [];
+    const times = props.coordTimes ?? props.times ?? [];
+    let k = 0;
+    lines.forEach((line, li) => {
+      line.forEach(([lon, lat, , t], i) => {
+        // coordTimes is flat for a LineString, nested per line for a MultiLineString
+        const time = Array.isArray(times[li]) ? times[li][i] : times[k] ?? t;
+        points.push(point(lat, lon, time, { speed: props.speeds?.[k], battery: props.batteries?.[k] }));
+        k += 1;
+      });
+    });
+  });
+  return { name, points };
+}
+
+// Minimal CSV: comma/semicolon/tab separated, optional double quotes
+function splitRow(line, sep) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i];
+    if (c === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cur += '"';
+        i += 1;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (c === sep && !quoted) {
+      out.push(cur.trim());
+      cur = '';
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+const CSV_COLUMNS = {
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  ts: ['ts', 'timestamp', 'time', 'datetime', 'date', 'epoch'],
+  speed: ['speed', 'speed_mps', 'speed_ms'],
+  battery: ['battery', 'battery_pct', 'bat'],
+};
+
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== '');
+  if (lines.length < 2) throw new TrackImportError('The CSV file has no data rows.');
+  const sep = [',', ';', '\t'].reduce((best, s) => (lines[0].split(s).length > lines[0].split(best).length ? s : best), ',');
+  const header = splitRow(lines[0], sep).map((h) => h.toLowerCase());
+  const col = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([key, names]) => [key, header.findIndex((h) => names.includes(h))])
+  );
+  if (col.lat === -1 || col.lon === -1) {
+    throw new TrackImportError('The CSV needs lat and lon columns (e.g. "lat,lon,ts").');
+  }
+  const points = lines.slice(1).map((line) => {
+    const cells = splitRow(line, sep);
+    const at = (k) => (col[k] === -1 ? null : cells[col[k]]);
+    return point(at('lat'), at('lon'), at('ts'), { speed: at('speed'), battery: at('battery') });
+  });
+  return { name: null, points };
+}
+
+const PARSERS = { gpx: parseGPX, kml: parseKML, geojson: parseGeoJSON, csv: parseCSV };
+
+function detectFormat(fileName, text) {
+  const ext = fileName.toLowerCase().split('.').pop();
+  if (ext === 'gpx' || ext === 'kml' || ext === 'csv') return ext;
+  if (ext === 'geojson' || ext === 'json') return 'geojson';
+  const head = text.trimStart().slice(0, 400);
+  if (head.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  if (/<kml[\s>]/.test(head)) return 'kml';
+  return 'csv';
+}
+
+/**
+ * parseTrackFile
+ * Returns { name, format, points }. Throws TrackImportError when the file
+ * can't be read or has no timed, finite positions.
+ */
+export function parseTrackFile(fileName, text) {
+  const format = detectFormat(fileName, text);
+  const { name, points } = PARSERS[format](text);
+  const usable = points.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+  if (usable.length === 0) throw new TrackImportError(`No positions found in this ${format.toUpperCase()} file.`);
+  if (!usable.some((p) => p.ts != null)) {
+    throw new TrackImportError('The track has no timestamps; only timed tracks can be reviewed.');
+  }
+  return { name: name || fileName.replace(/\.[^.]+$/, ''), format, points: usable };
+}
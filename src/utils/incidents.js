@@ -0,0 +1,120 @@
+// src/utils/incidents.js
+// SOS incident log persisted in localStorage.
+//
+// Incident: { id, deviceId, raisedAt, lat, lon, lastLat, lastLon,
+//             acknowledgedAt, acknowledgedBy, note, clearedAt, clearedLat, clearedLon }
+// An incident opens when a unit reports sos, stays open while the flag is set
+// and closes (clearedAt) when it drops. Acknowledgement is independent of
+// clearing: an incident that cleared on its own still needs an operator.
+
+import { nowSec } from './clock.js';
+
+const INCIDENTS_KEY = 'sos_incidents';
+const OPERATOR_KEY = 'sos_operator';
+
+// Acknowledged, cleared incidents beyond this are dropped oldest first
+const MAX_CLOSED_INCIDENTS = 200;
+
+export const isOpenIncident = (incident) => incident.clearedAt == null;
+export const needsAcknowledgement = (incident) => incident.acknowledgedAt == null;
+
+export function loadIncidents() {
+  try {
+    const raw = localStorage.getItem(INCIDENTS_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter((i) => i && i.id && i.deviceId) : [];
+  } catch (e) {
+    console.warn('[SOS] read error', e);
+    return [];
+  }
+}
+
+export function saveIncidents(incidents) {
+  try {
+    localStorage.setItem(INCIDENTS_KEY, JSON.stringify(incidents));
+  } catch (e) {
+    console.warn('[SOS] save error', e);
+  }
+}
+
+export function loadOperator() {
+  try {
+    return localStorage.getItem(OPERATOR_KEY) ?? '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveOperator(name) {
+  try {
+    localStorage.setItem(OPERATOR_KEY, name);
+  } catch (e) {
+    console.warn('[SOS] operator save error', e);
+  }
+}
+
+function trim(incidents) {
+  let closed = 0;
+  // Newest first; keep everything still open or unacknowledged
+  return incidents.filter((i) => {
+    if (isOpenIncident(i) || needsAcknowledgement(i)) return true;
+    closed += 1;
+    return closed <= MAX_CLOSED_INCIDENTS;
+  });
+}
+
+/**
+ * applySosReading
+ * Folds one normalized latest fix into the log. Returns the same array when
+ * nothing changed, otherwise a new one plus the incident that was raised or
+ * cleared by this reading (for notifications). A `synthetic` fix (a track
+ * point standing in for a missing /latest) says nothing about SOS and is
+ * ignored.
+ */
+export function applySosReading(incidents, deviceId, latest) {
+  if (!deviceId || !latest || latest.synthetic) return { incidents, raised: null, cleared: null };
+  const open = incidents.find((i) => i.deviceId === deviceId && isOpenIncident(i));
+  const ts = latest.timestamp ?? nowSec();
+
+  if (latest.sos && !open) {
+    const raised = {
+      id: `sos-${deviceId}-${ts}`,
+      deviceId,
+      raisedAt: ts,
+      lat: latest.lat,
+      lon: latest.lon,
+      lastLat: latest.lat,
+      lastLon: latest.lon,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      note: '',
+      clearedAt: null,
+      clearedLat: null,
+      clearedLon: null,
+    };
+    return { incidents: trim([raised, ...incidents]), raised, cleared: null };
+  }
+
+  if (latest.sos && open) {
+    if (open.lastLat === latest.lat && open.lastLon === latest.lon) {
+      return { incidents, raised: null, cleared: null };
+    }
+    const next = { ...open, lastLat: latest.lat, lastLon: latest.lon };
+    return { incidents: incidents.map((i) => (i.id === open.id ? next : i)), raised: null, cleared: null };
+  }
+
+  if (!latest.sos && open) {
+    const cleared = { ...open, clearedAt: ts, clearedLat: latest.lat, clearedLon: latest.lon };
+    return { incidents: incidents.map((i) => (i.id === open.id ? cleared : i)), raised: null, cleared };
+  }
+
+  return { incidents, raised: null, cleared: null };
+}
+
+export function acknowledgeIncident(incidents, id, { operator, note }) {
+  return trim(incidents.map((i) => (
+    i.id === id
+      ? { ...i, acknowledgedAt: nowSec(), acknowledgedBy: operator.trim(), note: note.trim() }
+      : i
+  )));
+}
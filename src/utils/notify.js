@@ -0,0 +1,26 @@
+// src/utils/notify.js
+// Browser notifications for alarms that must be seen while the tab is hidden.
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask once; resolves to the resulting permission ('granted' | 'denied' | 'default')
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'denied';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch (e) {
+    console.warn('[NOTIFY] permission request failed', e);
+    return 'denied';
+  }
+}
+
+export function showNotification(title, { body, tag, requireInteraction = false } = {}) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return null;
+  try {
+    return new Notification(title, { body, tag, requireInteraction });
+  } catch (e) {
+    console.warn('[NOTIFY] could not show notification', e);
+    return null;
+  }
+}
@@ -0,0 +1,44 @@
+// src/utils/playback.js
+// Time-based lookups into a cleaned, ts-sorted history for track playback.
+
+// Index of the last point at or before `ts` (-1 if `ts` is before the track)
+export function indexAtTime(history, ts) {
+  let lo = 0;
+  let hi = history.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (history[mid].ts <= ts) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * positionAtTime
+ * Interpolated { lat, lon, ts, index } at `ts`, where `index` is the last
+ * recorded point already passed. Clamped to the ends of the track.
+ */
+export function positionAtTime(history, ts) {
+  if (!Array.isArray(history) || history.length === 0) return null;
+  const first = history[0];
+  const last = history[history.length - 1];
+  if (ts <= first.ts) return { lat: first.lat, lon: first.lon, ts: first.ts, index: 0 };
+  if (ts >= last.ts) return { lat: last.lat, lon: last.lon, ts: last.ts, index: history.length - 1 };
+
+  const i = indexAtTime(history, ts);
+  const a = history[i];
+  const b = history[i + 1];
+  const span = b.ts - a.ts;
+  const t = span > 0 ? (ts - a.ts) / span : 0;
+  return {
+    lat: a.lat + (b.lat - a.lat) * t,
+    lon: a.lon + (b.lon - a.lon) * t,
+    ts,
+    index: i,
+  };
+}
@@ -0,0 +1,90 @@
+// src/utils/roster.js
+// Known-device roster persisted in localStorage.
+//
+// Entries: { id, lastSeen, battery, sos, favorite, lookedUpAt }
+// Devices are discovered from the local track store (see withCachedDevices)
+// and from every lookup the backend answered, with or without data.
+
+import { nowSec } from './clock.js';
+
+const ROSTER_KEY = 'device_roster';
+
+// A unit whose last fix is older than this is shown as stale
+export const ROSTER_STALE_SEC = 10 * 60;
+
+// lookedUpAt only moves on after this long, so steady polling doesn't rewrite
+// the stored roster on every request
+const LOOKUP_RESOLUTION_SEC = 60;
+
+function readJson(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('[ROSTER] read error', key, e);
+    return null;
+  }
+}
+
+export function loadRoster() {
+  const stored = readJson(ROSTER_KEY);
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+// Merge devices found in the track store ([{ id, lastSeen }]) into the roster
+export function withCachedDevices(roster, devices) {
+  let next = roster;
+  devices.forEach(({ id, lastSeen }) => {
+    const entry = next[id] ?? { id, lastSeen: null, battery: null, sos: false, favorite: false, lookedUpAt: null };
+    const seen = Math.max(entry.lastSeen ?? 0, lastSeen ?? 0) || null;
+    if (next[id] && seen === entry.lastSeen) return;
+    next = { ...next, [id]: { ...entry, id, lastSeen: seen } };
+  });
+  return next;
+}
+
+export function saveRoster(roster) {
+  try {
+    localStorage.setItem(ROSTER_KEY, JSON.stringify(roster));
+  } catch (e) {
+    console.warn('[ROSTER] save error', e);
+  }
+}
+
+/**
+ * withSighting
+ * Records `id` as looked up and refreshes its status from a normalized latest
+ * fix when one is given. Returns the same roster object when nothing changed,
+ * so callers can skip the write.
+ */
+export function withSighting(roster, id, latest = null) {
+  if (!id) return roster;
+  const prev = roster[id] ?? null;
+  const base = prev ?? { id, lastSeen: null, battery: null, sos: false, favorite: false, lookedUpAt: null };
+  const now = nowSec();
+  const next = { ...base, id };
+  if (base.lookedUpAt == null || now - base.lookedUpAt >= LOOKUP_RESOLUTION_SEC) next.lookedUpAt = now;
+  if (latest) {
+    if (latest.timestamp != null && latest.timestamp >= (base.lastSeen ?? 0)) {
+      next.lastSeen = latest.timestamp;
+    }
+    next.battery = latest.battery ?? base.battery;
+    // A stand-in fix built from a track point carries no SOS state
+    if (!latest.synthetic) next.sos = !!latest.sos;
+  }
+  if (prev && Object.keys(next).every((key) => next[key] === prev[key])) return roster;
+  return { ...roster, [id]: next };
+}
+
+export function withFavorite(roster, id, favorite) {
+  if (!roster[id]) return roster;
+  return { ...roster, [id]: { ...roster[id], favorite } };
+}
+
+// Favorites first, then most recently seen
+export function sortRoster(entries) {
+  return [...entries].sort((a, b) => {
+    if (a.favorite !== b.favorite) return a.favorite ? -1 : 1;
+    return (b.lastSeen ?? 0) - (a.lastSeen ?? 0) || a.id.localeCompare(b.id);
+  });
+}
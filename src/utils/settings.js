@@ -0,0 +1,148 @@
+// src/utils/settings.js
+// Operator preferences persisted in localStorage as named profiles
+// ("Night shift wall display", "Field laptop", ...).
+//
+// Store: { active, profiles: { [name]: settings }, basemaps: [custom sources] }
+// Settings: see DEFAULT_SETTINGS. Values are validated on load and import so
+// a hand-edited or older file can't put the app in a bad state.
+
+import { DEFAULT_BASEMAP, isBasemapId, sanitizeBasemaps } from './basemaps.js';
+
+const SETTINGS_KEY = 'operator_settings';
+const EXPORT_KIND = 'mmtt-settings';
+const EXPORT_VERSION = 1;
+
+export const DEFAULT_PROFILE = 'Default';
+
+export const DEFAULT_SETTINGS = {
+  deviceId: 'esp01',
+  refreshInterval: 5000,
+  mapStyle: DEFAULT_BASEMAP,
+  showPath: true,
+  followTarget: true,
+  showStats: true,
+  showTooltips: true,
+};
+
+// Same bounds as the refresh slider
+const REFRESH_MIN_MS = 2000;
+const REFRESH_MAX_MS = 30000;
+
+export class SettingsImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsImportError';
+  }
+}
+
+// Keep only known keys with valid values; missing or invalid ones fall back
+// to `base`
+export function sanitizeSettings(raw, base = DEFAULT_SETTINGS) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const out = { ...base };
+  if (typeof src.deviceId === 'string' && src.deviceId.trim()) out.deviceId = src.deviceId.trim();
+  if (Number.isFinite(src.refreshInterval)) {
+    out.refreshInterval = Math.min(REFRESH_MAX_MS, Math.max(REFRESH_MIN_MS, Math.round(src.refreshInterval / 1000) * 1000));
+  }
+  if (isBasemapId(src.mapStyle)) out.mapStyle = src.mapStyle;
+  ['showPath', 'followTarget', 'showStats', 'showTooltips'].forEach((k) => {
+    if (typeof src[k] === 'boolean') out[k] = src[k];
+  });
+  return out;
+}
+
+const defaultStore = () => ({
+  active: DEFAULT_PROFILE,
+  profiles: { [DEFAULT_PROFILE]: { ...DEFAULT_SETTINGS } },
+  basemaps: [],
+});
+
+function sanitizeStore(raw) {
+  const profiles = {};
+  if (raw && typeof raw.profiles === 'object') {
+    Object.entries(raw.profiles).forEach(([name, settings]) => {
+      const trimmed = String(name).trim();
+      if (trimmed) profiles[trimmed] = sanitizeSettings(settings);
+    });
+  }
+  const names = Object.keys(profiles);
+  if (names.length === 0) return null;
+  return {
+    active: names.includes(raw.active) ? raw.active : names[0],
+    profiles,
+    basemaps: sanitizeBasemaps(raw.basemaps),
+  };
+}
+
+export function loadSettingsStore() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    return (raw && sanitizeStore(JSON.parse(raw))) || defaultStore();
+  } catch (e) {
+    console.warn('[SETTINGS] read error', e);
+    return defaultStore();
+  }
+}
+
+export function saveSettingsStore(store) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(store));
+  } catch (e) {
+    console.warn('[SETTINGS] save error', e);
+  }
+}
+
+export const activeSettings = (store) => store.profiles[store.active] ?? DEFAULT_SETTINGS;
+
+// Store with some of the active profile's settings replaced
+export function withActiveSettings(store, patch) {
+  const current = activeSettings(store);
+  const next = sanitizeSettings({ ...current, ...patch }, current);
+  if (Object.keys(next).every((k) => next[k] === current[k])) return store;
+  return { ...store, profiles: { ...store.profiles, [store.active]: next } };
+}
+
+// New (or overwritten) profile from the given settings, made active
+export function withProfile(store, name, settings) {
+  return { ...store, active: name, profiles: { ...store.profiles, [name]: sanitizeSettings(settings) } };
+}
+
+export function withoutProfile(store, name) {
+  const { [name]: removed, ...profiles } = store.profiles;
+  const names = Object.keys(profiles);
+  if (!removed || names.length === 0) return store;
+  return { ...store, active: store.active === name ? names[0] : store.active, profiles };
+}
+
+export const withBasemaps = (store, basemaps) => ({ ...store, basemaps });
+
+export function exportSettings(store) {
+  return `${JSON.stringify({ kind: EXPORT_KIND, version: EXPORT_VERSION, ...store }, null, 2)}\n`;
+}
+
+/**
+ * importSettings
+ * Merge an exported settings file into the store: its profiles and custom
+ * basemaps replace ones with the same name / id, and its active profile
+ * becomes active.
+ */
+export function importSettings(store, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new SettingsImportError('The file is not valid JSON.');
+  }
+  if (data?.kind !== EXPORT_KIND) throw new SettingsImportError('This is not an exported settings file.');
+  if (data.version > EXPORT_VERSION) {
+    throw new SettingsImportError(`Settings file version ${data.version} is newer than this app supports.`);
+  }
+  const imported = sanitizeStore(data);
+  if (!imported) throw new SettingsImportError('The file contains no profiles.');
+  const importedIds = new Set(imported.basemaps.map((b) => b.id));
+  return {
+    active: imported.active,
+    profiles: { ...store.profiles, ...imported.profiles },
+    basemaps: [...store.basemaps.filter((b) => !importedIds.has(b.id)), ...imported.basemaps],
+  };
+}
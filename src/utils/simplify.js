@@ -0,0 +1,30 @@
+// src/utils/simplify.js
+// Zoom-dependent simplification so long tracks draw only the vertices that
+// are visible at the current zoom.
+
+import { CRS, LineUtil, latLng } from 'leaflet';
+
+// How far (screen px) the drawn line may stray from the recorded track
+export const SIMPLIFY_TOLERANCE_PX = 1;
+
+/**
+ * simplifyPositions
+ * Douglas–Peucker over [lat, lon] pairs projected at `zoom`, so the tolerance
+ * is in screen pixels: zoomed out, a multi-day track collapses to a few
+ * hundred vertices; zoomed in, the detail comes back. Kept vertices are the
+ * original pairs. Without a zoom the input is returned as is.
+ */
+export function simplifyPositions(positions, zoom, tolerancePx = SIMPLIFY_TOLERANCE_PX) {
+  if (zoom == null || positions.length < 3) return positions;
+  const z = Math.round(zoom);
+  const projected = positions.map(([lat, lon], index) => {
+    const pt = CRS.EPSG3857.latLngToPoint(latLng(lat, lon), z);
+    pt.index = index;
+    return pt;
+  });
+  return LineUtil.simplify(projected, tolerancePx).map((pt) => positions[pt.index]);
+}
+
+// simplifyPositions for a cleaned track ({ lat, lon } points)
+export const simplifyTrack = (points, zoom, tolerancePx) =>
+  simplifyPositions(points.map((p) => [p.lat, p.lon]), zoom, tolerancePx);
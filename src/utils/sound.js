@@ -0,0 +1,38 @@
+// src/utils/sound.js
+// Short alert tones via Web Audio, so no audio assets need to ship.
+
+let audioCtx = null;
+
+/**
+ * playTone
+ * Plays `pattern` as a sequence of [frequencyHz, durationMs] beeps. Browsers
+ * block audio until the user has interacted with the page; that failure is
+ * logged and otherwise ignored.
+ */
+export function playTone(pattern = [[880, 150], [660, 150]]) {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    audioCtx = audioCtx ?? new Ctx();
+    let at = audioCtx.currentTime;
+    pattern.forEach(([freq, ms]) => {
+      const osc = audioCtx.createOscillator();
+      const gain = audioCtx.createGain();
+      osc.type = 'sine';
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.15, at);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + ms / 1000);
+      osc.connect(gain).connect(audioCtx.destination);
+      osc.start(at);
+      osc.stop(at + ms / 1000);
+      at += ms / 1000 + 0.05;
+    });
+  } catch (e) {
+    console.warn('[SOUND] could not play tone', e);
+  }
+}
+
+export const ENTER_TONE = [[660, 120], [880, 180]];
+export const EXIT_TONE = [[880, 120], [520, 200]];
+// Repeated by the SOS alarm until the incident is acknowledged
+export const SOS_TONE = [[988, 220], [740, 220], [988, 220], [740, 220]];
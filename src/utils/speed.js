@@ -0,0 +1,86 @@
+// src/utils/speed.js
+// Per-segment speeds and color ramps for the speed-colored trail.
+
+import { haversineKm } from './track.js';
+
+// Color stops per ramp, slow → fast; interpolated to the number of bins
+export const SPEED_RAMPS = {
+  traffic: { label: 'Traffic', stops: ['#ef4444', '#f59e0b', '#facc15', '#22c55e'] },
+  thermal: { label: 'Thermal', stops: ['#3b82f6', '#22d3ee', '#facc15', '#f97316', '#dc2626'] },
+  mono: { label: 'Mono', stops: ['#fde7c5', '#ff8c00', '#7c2d12'] },
+};
+
+// Bin edges in m/s: < 1 stopped, 1–3 on foot, 3–8 slow vehicle, 8–15, > 15
+export const DEFAULT_SPEED_THRESHOLDS = [1, 3, 8, 15];
+
+// Segments with no usable speed (no reported value and dt <= 0)
+export const UNKNOWN_SPEED_COLOR = '#64748b';
+
+const hexToRgb = (hex) => {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+const rgbToHex = (rgb) => `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+// `count` colors evenly spread along the ramp's stops
+export function rampColors(rampId, count) {
+  const { stops } = SPEED_RAMPS[rampId] ?? SPEED_RAMPS.traffic;
+  if (count <= 1) return [stops[0]];
+  return Array.from({ length: count }, (_, i) => {
+    const pos = (i / (count - 1)) * (stops.length - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(stops.length - 1, lo + 1);
+    const t = pos - lo;
+    const a = hexToRgb(stops[lo]);
+    const b = hexToRgb(stops[hi]);
+    return rgbToHex(a.map((v, k) => v + (b[k] - v) * t));
+  });
+}
+
+// "1, 3, 8,15" -> [1, 3, 8, 15] (positive, sorted, unique); null if unusable
+export function parseThresholds(text) {
+  const values = String(text)
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (values.length === 0 || values.some((v) => !Number.isFinite(v) || v <= 0)) return null;
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+// Bin index for a speed given ascending thresholds; -1 when unknown
+export function speedBin(speed, thresholds) {
+  if (speed == null || !Number.isFinite(speed)) return -1;
+  const i = thresholds.findIndex((t) => speed < t);
+  return i === -1 ? thresholds.length : i;
+}
+
+/**
+ * segmentSpeeds
+ * One entry per consecutive pair of history points. Speed (m/s) is the
+ * reported `speed` at the segment's end point when present, otherwise derived
+ * from the haversine distance over the ts difference.
+ */
+export function segmentSpeeds(history) {
+  const segments = [];
+  for (let i = 1; i < history.length; i += 1) {
+    const a = history[i - 1];
+    const b = history[i];
+    const dt = b.ts - a.ts;
+    const meters = haversineKm(a.lat, a.lon, b.lat, b.lon) * 1000;
+    const reported = b.speed != null && Number.isFinite(b.speed);
+    let speed = null;
+    if (reported) speed = b.speed;
+    else if (dt > 0) speed = meters / dt;
+    segments.push({
+      index: i,
+      positions: [[a.lat, a.lon], [b.lat, b.lon]],
+      speed,
+      reported,
+      meters,
+      startTs: a.ts,
+      endTs: b.ts,
+    });
+  }
+  return segments;
+}
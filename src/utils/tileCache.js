@@ -0,0 +1,124 @@
+// src/utils/tileCache.js
+// Page-side helpers for the map tile cache the service worker (public/sw.js)
+// serves tiles from. Pre-downloaded tiles go into the same cache, under the
+// exact URLs Leaflet will later request, so they're hit offline.
+
+import { Browser } from 'leaflet';
+
+// Keep in sync with TILE_CACHE in public/sw.js
+export const TILE_CACHE = 'mmtt-tiles-v1';
+
+// Tile servers ask clients not to bulk-download; keep area downloads modest
+export const MAX_PREDOWNLOAD_TILES = 3000;
+
+const SUBDOMAINS = 'abc';
+
+const lonToX = (lon, z) => Math.floor(((lon + 180) / 360) * 2 ** z);
+const latToY = (lat, z) => {
+  const rad = (Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+};
+
+// Tile index range covering bounds ({ south, west, north, east }) at zoom z
+function tileRange(bounds, z) {
+  const max = 2 ** z - 1;
+  return {
+    x0: Math.max(0, lonToX(bounds.west, z)),
+    x1: Math.min(max, lonToX(bounds.east, z)),
+    y0: Math.max(0, latToY(bounds.north, z)),
+    y1: Math.min(max, latToY(bounds.south, z)),
+  };
+}
+
+/**
+ * countTiles
+ * Number of tiles covering bounds from `minZoom` to `maxZoom` inclusive,
+ * worked out from the index ranges without listing them. Stops adding zooms
+ * once the total passes `limit`, so the result is only exact up to there.
+ */
+export function countTiles(bounds, minZoom, maxZoom, limit = Infinity) {
+  let total = 0;
+  for (let z = minZoom; z <= maxZoom && total <= limit; z += 1) {
+    const { x0, x1, y0, y1 } = tileRange(bounds, z);
+    total += Math.max(0, x1 - x0 + 1) * Math.max(0, y1 - y0 + 1);
+  }
+  return total;
+}
+
+/**
+ * tilesForBounds
+ * Every { z, x, y } covering bounds from zoom `minZoom` to `maxZoom`
+ * inclusive. Check the size with countTiles first: a wide area at a high
+ * zoom is millions of tiles.
+ */
+export function tilesForBounds(bounds, minZoom, maxZoom) {
+  const tiles = [];
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const { x0, x1, y0, y1 } = tileRange(bounds, z);
+    for (let x = x0; x <= x1; x += 1) {
+      for (let y = y0; y <= y1; y += 1) tiles.push({ z, x, y });
+    }
+  }
+  return tiles;
+}
+
+// Same substitutions as L.TileLayer#getTileUrl for an XYZ/TMS basemap
+export function tileUrl(basemap, { z, x, y }) {
+  const flippedY = 2 ** z - 1 - y;
+  return basemap.url
+    .replace('{s}', SUBDOMAINS[Math.abs(x + y) % SUBDOMAINS.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', basemap.type === 'tms' ? flippedY : y)
+    .replace('{-y}', flippedY)
+    .replace('{r}', Browser.retina ? '@2x' : '');
+}
+
+export const tileCacheSupported = () => typeof caches !== 'undefined';
+
+export async function countCachedTiles() {
+  if (!tileCacheSupported()) return 0;
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.keys()).length;
+}
+
+export async function clearTileCache() {
+  if (!tileCacheSupported()) return;
+  await caches.delete(TILE_CACHE);
+}
+
+/**
+ * predownloadTiles
+ * Fetch and cache tile URLs that aren't cached yet, a few at a time.
+ * Resolves to { fetched, skipped, failed }; stops early when `signal` aborts.
+ */
+export async function predownloadTiles(urls, { onProgress, signal, concurrency = 4 } = {}) {
+  const cache = await caches.open(TILE_CACHE);
+  const result = { fetched: 0, skipped: 0, failed: 0 };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length && !signal?.aborted) {
+      const url = urls[next];
+      next += 1;
+      try {
+        if (await cache.match(url)) {
+          result.skipped += 1;
+        } else {
+          const res = await fetch(url, { mode: 'cors', signal });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await cache.put(url, res);
+          result.fetched += 1;
+        }
+      } catch (e) {
+        if (signal?.aborted) break;
+        console.warn('[TILES] fetch failed', url, e);
+        result.failed += 1;
+      }
+      onProgress?.(result.fetched + result.skipped + result.failed, urls.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return result;
+}
@@ -0,0 +1,56 @@
+// src/utils/timeRange.js
+// History range presets. Bounds are epoch seconds; `to: null` means "up to now"
+// (the range stays live and keeps polling), a closed `to` means a past range.
+
+import { nowMs, nowSec } from './clock.js';
+
+export const RANGE_PRESETS = [
+  { id: 'live', label: 'Live' },
+  { id: 'hour', label: 'Last hour' },
+  { id: 'today', label: 'Today' },
+  { id: 'yesterday', label: 'Yesterday' },
+  { id: 'custom', label: 'Custom' },
+];
+
+export const LIVE_RANGE = { preset: 'live', from: null, to: null };
+
+const startOfDay = (d) => Math.floor(new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime() / 1000);
+
+export function resolveRange(preset, custom = {}) {
+  const now = new Date(nowMs());
+  switch (preset) {
+    case 'hour':
+      return { preset, from: Math.floor(now.getTime() / 1000) - 3600, to: null };
+    case 'today':
+      return { preset, from: startOfDay(now), to: null };
+    case 'yesterday': {
+      const today = startOfDay(now);
+      return { preset, from: today - 24 * 3600, to: today - 1 };
+    }
+    case 'custom':
+      return { preset, from: custom.from ?? null, to: custom.to ?? null };
+    default:
+      return LIVE_RANGE;
+  }
+}
+
+// A range whose end is in the past: nothing new can arrive, so don't poll
+export function isPastRange(range, now = nowSec()) {
+  return range.to != null && range.to < now;
+}
+
+export const rangeKey = (range) => `${range.preset}:${range.from ?? ''}:${range.to ?? ''}`;
+
+// <input type="datetime-local"> value <-> epoch seconds (local time)
+export function toDateTimeLocal(epochSeconds) {
+  if (epochSeconds == null) return '';
+  const d = new Date(epochSeconds * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function fromDateTimeLocal(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
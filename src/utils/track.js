@@ -0,0 +1,289 @@
+// src/utils/track.js
+// Track cleaning, merging, heading and stop detection helpers shared by the
+// single-unit and fleet views.
+
+import { nowSec } from './clock.js';
+
+// Great-circle distance in km
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+  const R = 6371;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Optional numeric fields carried through cleaning when the source has them
+const optionalNumber = (v) => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// `opts.onSpike({ prev, point, km, dt })` is called for each point dropped as a
+// spike, so callers can surface them (the alert rules do).
+export function cleanAndSortHistory(history, opts = {}) {
+  if (!Array.isArray(history)) return [];
+  const {
+    minYear = 2009,
+    jumpKmThreshold = 200,
+    maxFutureSec = 24 * 3600,
+    onSpike = null,
+  } = opts;
+
+  // Server-corrected, so a browser with a wrong clock doesn't drop real points
+  const now = nowSec();
+
+  const normalized = history
+    .map((p) => {
+      const point = {
+        lat: Number(p.lat),
+        lon: Number(p.lon),
+        ts: p.ts == null ? null : Number(p.ts),
+      };
+      const speed = optionalNumber(p.speed);
+      if (speed != null) point.speed = speed;
+      const battery = optionalNumber(p.battery);
+      if (battery != null) point.battery = battery;
+      return point;
+    })
+    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+
+  const withValidTs = normalized.filter((p) => {
+    if (p.ts == null) return false;
+    if (p.ts < minYear * 365 * 24 * 3600) return false;
+    if (p.ts > now + maxFutureSec) return false;
+    return true;
+  });
+
+  withValidTs.sort((a, b) => a.ts - b.ts);
+
+  const cleaned = [];
+
+  for (let i = 0; i < withValidTs.length; i += 1) {
+    const p = withValidTs[i];
+    if (cleaned.length === 0) {
+      cleaned.push(p);
+    } else {
+      const prev = cleaned[cleaned.length - 1];
+      const km = haversineKm(prev.lat, prev.lon, p.lat, p.lon);
+      const dt = p.ts - prev.ts;
+      if (km > jumpKmThreshold && dt < 60) {
+        console.warn('[CLEAN] Dropping spike point', { prev, p, km, dt });
+        onSpike?.({ prev, point: p, km, dt });
+        continue;
+      }
+      cleaned.push(p);
+    }
+  }
+
+  console.log('[CLEAN] before:', history.length, 'after:', cleaned.length);
+  return cleaned;
+}
+
+// Append newly fetched points to an already-cleaned history. Only points newer
+// than the current tail are kept (late or re-sent points are dropped), and they
+// are cleaned against that tail so the spike filter still sees the previous fix.
+export function mergeHistory(existing, incoming, opts = {}) {
+  if (!Array.isArray(incoming) || incoming.length === 0) return existing;
+  if (!Array.isArray(existing) || existing.length === 0) return cleanAndSortHistory(incoming, opts);
+
+  const tail = existing[existing.length - 1];
+  const seen = new Set();
+  const fresh = incoming.filter((p) => {
+    const ts = p.ts == null ? null : Number(p.ts);
+    if (ts == null || !(ts > tail.ts)) return false;
+    const key = `${ts}:${p.lat}:${p.lon}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (fresh.length === 0) return existing;
+
+  const cleaned = cleanAndSortHistory([tail, ...fresh], opts);
+  const appended = cleaned.length > 0 && cleaned[0].ts === tail.ts ? cleaned.slice(1) : cleaned;
+  if (appended.length === 0) return existing;
+
+  console.log('[MERGE] appended', appended.length, 'new points to', existing.length);
+  return existing.concat(appended);
+}
+
+// Server and locally cached points for one device: a single point per
+// timestamp (the server's copy wins), then cleaned as usual
+export function unionHistory(local, remote, opts = {}) {
+  const byTs = new Map();
+  [...local, ...remote].forEach((p) => {
+    if (p.ts != null) byTs.set(Number(p.ts), p);
+  });
+  return cleanAndSortHistory([...byTs.values()], opts);
+}
+
+export const DEFAULT_STAY_OPTIONS = { radiusM: 50, minDurationSec: 300 };
+
+// Plain lat/lon average; a stop is small enough that projection doesn't matter
+const centroid = (points) => ({
+  lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+  lon: points.reduce((sum, p) => sum + p.lon, 0) / points.length,
+});
+
+const pathKm = (points) => {
+  let km = 0;
+  for (let i = 1; i < points.length; i += 1) {
+    km += haversineKm(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+  }
+  return km;
+};
+
+// Points / distance / time span of a cleaned track, for side-by-side comparison
+export function trackSummary(points) {
+  if (points.length === 0) return { count: 0, distanceKm: 0, durationSec: 0, startTs: null, endTs: null };
+  const startTs = points[0].ts;
+  const endTs = points[points.length - 1].ts;
+  return { count: points.length, distanceKm: pathKm(points), durationSec: endTs - startTs, startTs, endTs };
+}
+
+// Detail for the fix at `index` of a cleaned track: distance and time since the
+// previous fix, and speed over the path through its neighbors (one-sided at
+// either end of the track)
+export function pointDetail(points, index) {
+  const point = points[index];
+  const prev = points[index - 1] ?? null;
+  const next = points[index + 1] ?? null;
+  const a = prev ?? point;
+  const b = next ?? point;
+  const dt = b.ts - a.ts;
+  return {
+    point,
+    fromPrevM: prev ? haversineKm(prev.lat, prev.lon, point.lat, point.lon) * 1000 : null,
+    sincePrevSec: prev ? point.ts - prev.ts : null,
+    speedMs: dt > 0 ? (pathKm([a, point, b]) * 1000) / dt : null,
+  };
+}
+
+// Degrees (any range) -> [0, 360), or null when not a usable number
+export function normalizeHeading(value) {
+  if (value == null || value === '') return null;
+  const deg = Number(value);
+  return Number.isFinite(deg) ? ((deg % 360) + 360) % 360 : null;
+}
+
+// Initial great-circle bearing from point 1 to point 2, degrees clockwise from north
+export function bearingDeg(lat1, lon1, lat2, lon2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return normalizeHeading((Math.atan2(y, x) * 180) / Math.PI);
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// 47 -> 'NE'
+export const compassPoint = (deg) => COMPASS_POINTS[Math.round(normalizeHeading(deg) / 45) % 8];
+
+export const DEFAULT_MOTION_OPTIONS = { movingSpeedMs: 0.5, minBearingDistanceM: 15, lookbackPoints: 10 };
+
+/**
+ * trackMotion
+ * Heading and moving/stationary state of a unit from its latest fix and the
+ * tail of its cleaned history. A reported `heading` wins; otherwise the
+ * bearing runs from the most recent point at least `minBearingDistanceM`
+ * back (within `lookbackPoints`) to the newest position, so GPS jitter while
+ * parked doesn't spin the arrow. Speed comes from the fix when reported,
+ * else from the last two points.
+ */
+export function trackMotion(history, latest, opts = {}) {
+  const { movingSpeedMs, minBearingDistanceM, lookbackPoints } = { ...DEFAULT_MOTION_OPTIONS, ...opts };
+  const points = Array.isArray(history) ? history : [];
+  const tail = points[points.length - 1];
+  const end = latest ?? tail;
+  if (!end) return { heading: null, headingSource: null, speed: null, moving: false };
+
+  let heading = normalizeHeading(latest?.heading);
+  let headingSource = heading != null ? 'reported' : null;
+  if (heading == null) {
+    for (let i = points.length - 1; i >= Math.max(0, points.length - lookbackPoints); i -= 1) {
+      const p = points[i];
+      if (haversineKm(p.lat, p.lon, end.lat, end.lon) * 1000 >= minBearingDistanceM) {
+        heading = bearingDeg(p.lat, p.lon, end.lat, end.lon);
+        headingSource = 'track';
+        break;
+      }
+    }
+  }
+
+  let speed = latest?.speed ?? null;
+  if (speed == null && points.length >= 2) {
+    const prev = points[points.length - 2];
+    const dt = tail.ts - prev.ts;
+    if (dt > 0) speed = (haversineKm(prev.lat, prev.lon, tail.lat, tail.lon) * 1000) / dt;
+  }
+
+  return { heading, headingSource, speed, moving: speed != null && speed >= movingSpeedMs };
+}
+
+/**
+ * detectStays
+ * Stay-point pass over a cleaned, ts-sorted history. A stop is a run of points
+ * that all stay within `radiusM` of the run's first point for at least
+ * `minDurationSec`; the stretches between stops are trips. Indices refer to
+ * `history`, and a trip shares its boundary points with the adjacent stops.
+ */
+export function detectStays(history, opts = {}) {
+  const { radiusM, minDurationSec } = { ...DEFAULT_STAY_OPTIONS, ...opts };
+  const stops = [];
+  if (!Array.isArray(history) || history.length === 0) return { stops, trips: [] };
+
+  let i = 0;
+  while (i < history.length) {
+    const anchor = history[i];
+    let j = i + 1;
+    while (
+      j < history.length &&
+      haversineKm(anchor.lat, anchor.lon, history[j].lat, history[j].lon) * 1000 <= radiusM
+    ) {
+      j += 1;
+    }
+    const last = history[j - 1];
+    if (last.ts - anchor.ts >= minDurationSec) {
+      const points = history.slice(i, j);
+      stops.push({
+        ...centroid(points),
+        startIndex: i,
+        endIndex: j - 1,
+        arrival: anchor.ts,
+        departure: last.ts,
+        durationSec: last.ts - anchor.ts,
+        points: points.length,
+      });
+      i = j;
+    } else {
+      i += 1;
+    }
+  }
+
+  // Trips fill the gaps: track start → first stop, stop → stop, last stop → track end
+  const trips = [];
+  let from = 0;
+  const pushTrip = (start, end) => {
+    if (end - start < 1) return;
+    const points = history.slice(start, end + 1);
+    trips.push({
+      startIndex: start,
+      endIndex: end,
+      startTs: points[0].ts,
+      endTs: points[points.length - 1].ts,
+      durationSec: points[points.length - 1].ts - points[0].ts,
+      distanceKm: pathKm(points),
+    });
+  };
+  stops.forEach((stop) => {
+    pushTrip(from, stop.startIndex);
+    from = stop.endIndex;
+  });
+  pushTrip(from, history.length - 1);
+
+  return { stops, trips };
+}
@@ -0,0 +1,259 @@
+// src/utils/trackStore.js
+// Local track cache in IndexedDB, one record per fix keyed by [deviceId, ts],
+// so re-saving a point overwrites it instead of duplicating it and a long
+// mission doesn't run into the localStorage quota.
+//
+// Records: { deviceId, ts, lat, lon, speed?, battery? }
+// Retention: { maxAgeDays, maxPointsPerDevice } (null = no limit), persisted
+// in localStorage and applied per device on every write.
+//
+// Tracks cached by older builds under localStorage `track_history_<id>` are
+// moved in on first open and the old keys removed.
+
+import { nowSec } from './clock.js';
+
+const DB_NAME = 'mmtt-tracks';
+const DB_VERSION = 1;
+const STORE = 'points';
+const RETENTION_KEY = 'track_retention';
+const LEGACY_PREFIX = 'track_history_';
+
+// No age limit until the operator sets one: tracks migrated from older builds
+// were kept forever there, and pruning runs right after the migration
+export const DEFAULT_RETENTION = { maxAgeDays: null, maxPointsPerDevice: 50000 };
+
+// Oldest ts the age limit keeps, or null without one
+const ageCutoff = (policy) => (policy.maxAgeDays != null ? nowSec() - policy.maxAgeDays * 24 * 3600 : null);
+
+// Keys sort numbers before arrays, so these bracket every ts of one device
+const deviceRange = (deviceId, from = -Infinity, to = Infinity) =>
+  IDBKeyRange.bound([deviceId, from], [deviceId, to]);
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+function toRecord(deviceId, p) {
+  const record = { deviceId, ts: Number(p.ts), lat: Number(p.lat), lon: Number(p.lon) };
+  if (p.speed != null) record.speed = p.speed;
+  if (p.battery != null) record.battery = p.battery;
+  return record;
+}
+
+function fromRecord(r) {
+  const p = { lat: r.lat, lon: r.lon, ts: r.ts };
+  if (r.speed != null) p.speed = r.speed;
+  if (r.battery != null) p.battery = r.battery;
+  return p;
+}
+
+export function loadRetention() {
+  try {
+    const raw = localStorage.getItem(RETENTION_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    return stored && typeof stored === 'object' ? { ...DEFAULT_RETENTION, ...stored } : DEFAULT_RETENTION;
+  } catch (e) {
+    console.warn('[STORE] retention read error', e);
+    return DEFAULT_RETENTION;
+  }
+}
+
+export function saveRetention(policy) {
+  try {
+    localStorage.setItem(RETENTION_KEY, JSON.stringify(policy));
+  } catch (e) {
+    console.warn('[STORE] retention save error', e);
+  }
+}
+
+// Move localStorage-cached tracks into the store, then drop the old keys
+async function migrateLegacyHistory(db) {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i += 1) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(LEGACY_PREFIX) && key.length > LEGACY_PREFIX.length) keys.push(key);
+  }
+  for (const key of keys) {
+    const deviceId = key.slice(LEGACY_PREFIX.length);
+    let points = [];
+    try {
+      const parsed = JSON.parse(localStorage.getItem(key));
+      if (Array.isArray(parsed)) points = parsed;
+    } catch (e) {
+      console.warn('[STORE] unreadable legacy cache, dropping', key, e);
+    }
+    const valid = points.filter((p) => Number.isFinite(Number(p?.ts)) && Number.isFinite(Number(p?.lat)) && Number.isFinite(Number(p?.lon)));
+    const tx = db.transaction(STORE, 'readwrite');
+    valid.forEach((p) => tx.objectStore(STORE).put(toRecord(deviceId, p)));
+    await transactionDone(tx);
+    localStorage.removeItem(key);
+    console.log('%c[STORE]', 'color:#14b8a6;font-weight:bold', 'migrated', key, valid.length, 'points');
+  }
+}
+
+let dbPromise = null;
+
+// Resolves to the database, or null where IndexedDB is unavailable (some
+// private modes); callers then simply run without a local cache.
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    console.warn('[STORE] IndexedDB unavailable; local track cache disabled');
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: ['deviceId', 'ts'] });
+      store.createIndex('ts', 'ts');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  })
+    .then(async (db) => {
+      try {
+        await migrateLegacyHistory(db);
+      } catch (e) {
+        console.warn('[STORE] migration error', e);
+      }
+      return db;
+    })
+    .catch((e) => {
+      console.warn('[STORE] open error; local track cache disabled', e);
+      return null;
+    });
+  return dbPromise;
+}
+
+// Apply the retention policy to one device's points
+async function pruneDevice(db, deviceId, policy) {
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const cutoff = ageCutoff(policy);
+  if (cutoff != null) {
+    store.delete(IDBKeyRange.bound([deviceId, -Infinity], [deviceId, cutoff], false, true));
+  }
+  if (policy.maxPointsPerDevice != null) {
+    const count = await request(store.count(deviceRange(deviceId)));
+    let excess = count - policy.maxPointsPerDevice;
+    if (excess > 0) {
+      // Oldest first
+      const cursorReq = store.openKeyCursor(deviceRange(deviceId));
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor || excess <= 0) return;
+        store.delete(cursor.primaryKey);
+        excess -= 1;
+        cursor.continue();
+      };
+    }
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * getStoredTrack
+ * Cached points for a device, ts-sorted, optionally limited to [from, to]
+ * (epoch seconds, either may be null).
+ */
+export async function getStoredTrack(deviceId, { from = null, to = null } = {}) {
+  const db = await openDb();
+  if (!db || !deviceId) return [];
+  try {
+    const tx = db.transaction(STORE, 'readonly');
+    const records = await request(tx.objectStore(STORE).getAll(deviceRange(deviceId, from ?? -Infinity, to ?? Infinity)));
+    return records.map(fromRecord);
+  } catch (e) {
+    console.warn('[STORE] read error', deviceId, e);
+    return [];
+  }
+}
+
+// Upsert cleaned points for a device, then apply retention to it. Points the
+// age limit would delete straight away (an old past range) aren't written.
+export async function storeTrackPoints(deviceId, points, policy = loadRetention()) {
+  const cutoff = ageCutoff(policy);
+  const kept = cutoff != null ? points.filter((p) => Number(p.ts) >= cutoff) : points;
+  if (!deviceId || kept.length === 0) return;
+  const db = await openDb();
+  if (!db) return;
+  try {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    kept.forEach((p) => store.put(toRecord(deviceId, p)));
+    await transactionDone(tx);
+    await pruneDevice(db, deviceId, policy);
+  } catch (e) {
+    console.warn('[STORE] write error', deviceId, e);
+  }
+}
+
+export async function deleteStoredTrack(deviceId) {
+  const db = await openDb();
+  if (!db || !deviceId) return;
+  try {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(deviceRange(deviceId));
+    await transactionDone(tx);
+  } catch (e) {
+    console.warn('[STORE] delete error', deviceId, e);
+  }
+}
+
+/**
+ * listStoredDevices
+ * [{ id, lastSeen, count }] for every device with cached points.
+ */
+export async function listStoredDevices() {
+  const db = await openDb();
+  if (!db) return [];
+  try {
+    const tx = db.transaction(STORE, 'readonly');
+    const store = tx.objectStore(STORE);
+    const devices = [];
+    // Walk backwards, landing once on each device's newest point
+    await new Promise((resolve, reject) => {
+      const cursorReq = store.openKeyCursor(null, 'prev');
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const [id, ts] = cursor.primaryKey;
+        devices.push({ id, lastSeen: ts, count: 0 });
+        cursor.continue([id, -Infinity]);
+      };
+      cursorReq.onerror = () => reject(cursorReq.error);
+    });
+    await Promise.all(devices.map(async (d) => {
+      d.count = await request(store.count(deviceRange(d.id)));
+    }));
+    return devices;
+  } catch (e) {
+    console.warn('[STORE] list error', e);
+    return [];
+  }
+}
+
+// Re-apply retention to every cached device (e.g. after the policy changes)
+export async function pruneTrackStore(policy = loadRetention()) {
+  const db = await openDb();
+  if (!db) return;
+  const devices = await listStoredDevices();
+  for (const d of devices) {
+    try {
+      await pruneDevice(db, d.id, policy);
+    } catch (e) {
+      console.warn('[STORE] prune error', d.id, e);
+    }
+  }
+}